@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const {parseArgs} = require('util')
+const {Networks} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta} = require('../src')
+const {priceFormats} = require('../src/parser/tx-xdr-parser-utils')
+
+const usage = `Usage: tx-meta-effects [options] [<tx> [<result> [<meta>]]]
+
+Decode Stellar transaction envelope, result, and meta XDR into effects.
+XDR values can be passed as base64 strings, as file paths prefixed with "@" (e.g. @meta.xdr),
+or via stdin (whitespace-separated XDR values or a JSON object with "tx", "result", and "meta" fields).
+
+Options:
+  -n, --network <name>             Network preset (public, testnet, futurenet) or network passphrase (default: public)
+  -b, --batch <file>               Process multiple transactions from the file ("-" for stdin), one transaction per line
+      --map-sac                    Map Stellar Asset Contracts to classic assets
+      --process-system-events      Emit effects for contract errors and resource stats
+      --process-failed-op-effects  Generate operation effects for failed transactions
+      --price-format <format>      Offer and trade price format: number, rational, or decimal (default: number)
+      --ndjson                     Print every effect as a separate JSON line
+  -h, --help                       Show this help`
+
+const cliOptions = {
+    network: {type: 'string', short: 'n', default: 'public'},
+    batch: {type: 'string', short: 'b'},
+    'map-sac': {type: 'boolean', default: false},
+    'process-system-events': {type: 'boolean', default: false},
+    'process-failed-op-effects': {type: 'boolean', default: false},
+    'price-format': {type: 'string', default: 'number'},
+    ndjson: {type: 'boolean', default: false},
+    help: {type: 'boolean', short: 'h', default: false}
+}
+
+/**
+ * Run command-line tool
+ * @param {String[]} args - Command-line arguments (without node executable and script path)
+ * @param {{stdin: ReadableStream, stdout: WritableStream, stderr: WritableStream}} io - Standard streams
+ * @return {Promise<Number>} - Process exit code
+ */
+async function runCli(args, {stdin = process.stdin, stdout = process.stdout, stderr = process.stderr} = {}) {
+    let options
+    try {
+        const {values, positionals} = parseArgs({args, options: cliOptions, allowPositionals: true})
+        options = {...values, positionals}
+    } catch (e) {
+        stderr.write(e.message + '\n\n' + usage + '\n')
+        return 2
+    }
+    if (options.help) {
+        stdout.write(usage + '\n')
+        return 0
+    }
+    const network = resolveNetwork(options.network)
+    if (!network) {
+        stderr.write(`Unknown network preset: ${options.network}\n`)
+        return 2
+    }
+    if (!priceFormats.includes(options['price-format'])) {
+        stderr.write(`Unknown price format: ${options['price-format']}\n`)
+        return 2
+    }
+    const parserOptions = {
+        network,
+        mapSac: options['map-sac'],
+        processSystemEvents: options['process-system-events'],
+        processFailedOpEffects: options['process-failed-op-effects'],
+        priceFormat: options['price-format']
+    }
+    const print = options.ndjson ?
+        parsed => stdout.write(formatNdjson(parsed)) :
+        parsed => stdout.write(JSON.stringify(parsed, null, 2) + '\n')
+
+    if (options.batch !== undefined) {
+        if (options.positionals.length) {
+            stderr.write('XDR arguments cannot be combined with batch mode\n')
+            return 2
+        }
+        if (options.batch === '-' && stdin.isTTY) { //nothing piped to stdin
+            stderr.write(usage + '\n')
+            return 2
+        }
+        let lines
+        try {
+            lines = (await readInput(options.batch, stdin)).split(/\r?\n/)
+        } catch (e) {
+            stderr.write(e.message + '\n')
+            return 1
+        }
+        const res = []
+        let exitCode = 0
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim())
+                continue
+            try {
+                const parsed = processTx(parseTxInput(lines[i]), parserOptions)
+                if (options.ndjson) {
+                    print(parsed)
+                } else {
+                    res.push(parsed)
+                }
+            } catch (e) {
+                stderr.write(`Line ${i + 1}: ${e.message}\n`)
+                exitCode = 1
+            }
+        }
+        if (!options.ndjson) {
+            print(res)
+        }
+        return exitCode
+    }
+
+    if (!options.positionals.length && stdin.isTTY) { //no arguments and nothing piped to stdin
+        stderr.write(usage + '\n')
+        return 2
+    }
+    let input
+    try {
+        if (options.positionals.length) {
+            const [tx, result, meta] = await Promise.all(options.positionals.map(value => readXdrArgument(value)))
+            input = {tx, result, meta}
+        } else {
+            input = parseTxInput(await readInput('-', stdin))
+        }
+        print(processTx(input, parserOptions))
+    } catch (e) {
+        stderr.write(e.message + '\n')
+        return 1
+    }
+    return 0
+}
+
+/**
+ * Parse transaction and format effects for the output
+ * @param {{tx: String, result: (String|undefined), meta: (String|undefined)}} input - Base64-encoded transaction XDR values
+ * @param {{}} parserOptions - Options passed to parseTxOperationsMeta
+ * @return {{}}
+ */
+function processTx({tx, result, meta}, parserOptions) {
+    if (!tx)
+        throw new Error('Transaction envelope XDR is required')
+    const res = parseTxOperationsMeta({...parserOptions, tx, result, meta})
+    const output = {
+        hash: res.tx.hash().toString('hex'),
+        effects: res.effects,
+        operations: res.operations.map(({type, source, effects}) => ({type, source, effects}))
+    }
+    if (res.failed) {
+        output.failed = true
+    }
+    return output
+}
+
+/**
+ * Format effects as newline-delimited JSON
+ * @param {{}} parsed - Transaction processed by processTx
+ * @return {String}
+ */
+function formatNdjson({hash, effects, operations}) {
+    const lines = effects.map(effect => JSON.stringify({tx: hash, ...effect}))
+    operations.forEach(({effects}, operation) => {
+        for (const effect of effects) {
+            lines.push(JSON.stringify({tx: hash, operation, ...effect}))
+        }
+    })
+    return lines.map(line => line + '\n').join('')
+}
+
+/**
+ * Parse transaction input – JSON object or whitespace-separated XDR values
+ * @param {String} input - Raw input text
+ * @return {{tx: String, result: (String|undefined), meta: (String|undefined)}}
+ */
+function parseTxInput(input) {
+    input = input.trim()
+    if (input.startsWith('{')) {
+        const {tx, result, meta} = JSON.parse(input)
+        return {tx, result, meta}
+    }
+    const [tx, result, meta] = input.split(/[\s,]+/)
+    return {tx, result, meta}
+}
+
+/**
+ * Resolve XDR argument value
+ * @param {String} value - Base64-encoded XDR or file path prefixed with "@"
+ * @return {Promise<String>}
+ */
+async function readXdrArgument(value) {
+    if (!value.startsWith('@'))
+        return value
+    return (await fs.promises.readFile(value.substring(1), 'utf8')).trim()
+}
+
+/**
+ * Read text input from the file or stdin
+ * @param {String} path - File path ("-" for stdin)
+ * @param {ReadableStream} stdin - Standard input stream
+ * @return {Promise<String>}
+ */
+async function readInput(path, stdin) {
+    if (path !== '-')
+        return fs.promises.readFile(path, 'utf8')
+    const chunks = []
+    for await (const chunk of stdin) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+    }
+    return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * @param {String} network - Network preset name or passphrase
+ * @return {String|undefined}
+ */
+function resolveNetwork(network) {
+    if (network.includes(' '))
+        return network //network passphrase
+    return Networks[network.toUpperCase()]
+}
+
+module.exports = {runCli}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2))
+        .then(code => process.exitCode = code)
+        .catch(e => {
+            console.error(e.message)
+            process.exit(1)
+        })
+}
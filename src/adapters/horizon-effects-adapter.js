@@ -0,0 +1,448 @@
+const effectTypes = require('../effect-types')
+const {isContractAddress} = require('../parser/tx-xdr-parser-utils')
+const {encodeEffectId, decodeEffectId} = require('../effect-id')
+
+/**
+ * Horizon effect types with their numeric identifiers
+ * @readonly
+ */
+const horizonEffectTypes = {
+    account_created: 0,
+    account_removed: 1,
+    account_credited: 2,
+    account_debited: 3,
+    account_thresholds_updated: 4,
+    account_home_domain_updated: 5,
+    account_flags_updated: 6,
+    account_inflation_destination_updated: 7,
+    signer_created: 10,
+    signer_removed: 11,
+    signer_updated: 12,
+    trustline_created: 20,
+    trustline_removed: 21,
+    trustline_updated: 22,
+    trustline_flags_updated: 26,
+    trade: 33,
+    data_created: 40,
+    data_removed: 41,
+    data_updated: 42,
+    sequence_bumped: 43,
+    claimable_balance_created: 50,
+    claimable_balance_claimant_created: 51,
+    claimable_balance_claimed: 52,
+    account_sponsorship_created: 60,
+    account_sponsorship_updated: 61,
+    account_sponsorship_removed: 62,
+    trustline_sponsorship_created: 63,
+    trustline_sponsorship_updated: 64,
+    trustline_sponsorship_removed: 65,
+    data_sponsorship_created: 66,
+    data_sponsorship_updated: 67,
+    data_sponsorship_removed: 68,
+    claimable_balance_sponsorship_created: 69,
+    claimable_balance_sponsorship_updated: 70,
+    claimable_balance_sponsorship_removed: 71,
+    signer_sponsorship_created: 72,
+    signer_sponsorship_updated: 73,
+    signer_sponsorship_removed: 74,
+    claimable_balance_clawed_back: 80,
+    liquidity_pool_deposited: 90,
+    liquidity_pool_withdrew: 91,
+    liquidity_pool_trade: 92,
+    liquidity_pool_created: 93,
+    liquidity_pool_removed: 94,
+    contract_credited: 96,
+    contract_debited: 97
+}
+
+//liquidity pool fee in basis points (the only fee value supported by the protocol)
+const liquidityPoolFee = 30
+
+/**
+ * @typedef {{}} HorizonEffectRecord
+ * @property {String} type - Horizon effect type name
+ * @property {Number} type_i - Horizon effect type numeric identifier
+ * @property {String} account - Account affected by the effect
+ * @property {String} [id] - Effect record id (only for effects with assigned ids)
+ * @property {String} [paging_token] - Effect record paging token (only for effects with assigned ids)
+ * @property {String} [created_at] - Ledger close time (ISO 8601)
+ */
+
+/**
+ * @typedef {{}} HorizonConversionContext
+ * @property {BaseOperation} [operation] - Operation that produced the effects
+ * @property {{}[]} [effects] - All effects of the operation
+ * @property {Number} [closeTime] - Ledger close timestamp (UNIX seconds)
+ * @internal
+ */
+
+/**
+ * Convert effects of all transaction operations to Horizon effect records
+ * @param {ParsedTxOperationsMetadata} parsedTx - Transaction processed by parseTxOperationsMeta
+ * @param {Number} [closeTime] - Ledger close timestamp (UNIX seconds), used to populate "created_at" field
+ * @return {HorizonEffectRecord[]}
+ */
+function toHorizonEffects(parsedTx, {closeTime} = {}) {
+    const res = []
+    for (const operation of parsedTx.operations || []) {
+        res.push(...convertToHorizonEffects(operation.effects, {operation, closeTime}))
+    }
+    return res
+}
+
+/**
+ * Convert operation effects to Horizon effect records (effects without Horizon equivalent are omitted)
+ * @param {{}[]} effects - Operation effects
+ * @param {BaseOperation} [operation] - Operation that produced the effects
+ * @param {Number} [closeTime] - Ledger close timestamp (UNIX seconds), used to populate "created_at" field
+ * @return {HorizonEffectRecord[]}
+ */
+function convertToHorizonEffects(effects, {operation, closeTime} = {}) {
+    const context = {operation, effects, closeTime}
+    const res = []
+    for (const effect of effects || []) {
+        for (const record of convertEffect(effect, context)) {
+            if (effect.id) { //some effects produce several records, so record ids are generated sequentially
+                const {ledgerSequence, applicationOrder, operationIndex} = decodeEffectId(effect.id)
+                const id = encodeEffectId(ledgerSequence, applicationOrder, operationIndex, res.length)
+                Object.assign(record, {id, paging_token: id.split('-').map(v => BigInt(v).toString()).join('-')})
+            }
+            if (closeTime !== undefined) {
+                record.created_at = formatTimestamp(closeTime)
+            }
+            res.push(record)
+        }
+    }
+    return res
+}
+
+/**
+ * @param {{}} effect
+ * @param {HorizonConversionContext} context
+ * @return {HorizonEffectRecord[]}
+ */
+function convertEffect(effect, context) {
+    switch (effect.type) {
+        case effectTypes.accountCreated: {
+            const record = createRecord('account_created', effect.account)
+            const credited = context.effects.find(e => e.type === effectTypes.accountCredited && e.source === effect.account && e.asset === 'XLM')
+            if (credited) {
+                record.starting_balance = formatAmount(credited.amount)
+            }
+            return [record]
+        }
+        case effectTypes.accountRemoved:
+            return [createRecord('account_removed', effect.source)]
+        case effectTypes.accountCredited:
+        case effectTypes.accountDebited: {
+            if (isContractAddress(effect.asset))
+                return [] //custom Soroban tokens are not tracked by Horizon
+            const action = effect.type === effectTypes.accountCredited ? 'credited' : 'debited'
+            if (isContractAddress(effect.source))
+                return [createRecord('contract_' + action, context.operation?.source || effect.source, {
+                    contract: effect.source,
+                    amount: formatAmount(effect.amount),
+                    ...formatAssetFields(effect.asset)
+                })]
+            const record = createRecord('account_' + action, effect.source, {
+                amount: formatAmount(effect.amount),
+                ...formatAssetFields(effect.asset)
+            })
+            if (effect.muxed) {
+                record.account_muxed = effect.muxed
+                record.account_muxed_id = effect.muxedId
+            }
+            return [record]
+        }
+        case effectTypes.accountThresholdsUpdated: {
+            const [low, med, high] = effect.thresholds
+            return [createRecord('account_thresholds_updated', effect.source, {
+                low_threshold: low,
+                med_threshold: med,
+                high_threshold: high
+            })]
+        }
+        case effectTypes.accountHomeDomainUpdated:
+            return [createRecord('account_home_domain_updated', effect.source, {home_domain: effect.domain})]
+        case effectTypes.accountFlagsUpdated:
+            return [createRecord('account_flags_updated', effect.source, formatFlagChanges(effect.flags, effect.prevFlags, {
+                1: 'auth_required_flag',
+                2: 'auth_revocable_flag',
+                4: 'auth_immutable_flag',
+                8: 'auth_clawback_enabled_flag'
+            }))]
+        case effectTypes.accountInflationDestinationUpdated:
+            return [createRecord('account_inflation_destination_updated', effect.source)]
+        case effectTypes.accountSignerCreated:
+        case effectTypes.accountSignerUpdated:
+        case effectTypes.accountSignerRemoved: {
+            const type = 'signer_' + effect.type.replace('accountSigner', '').toLowerCase()
+            return [createRecord(type, effect.source, {
+                weight: effect.weight,
+                public_key: effect.signer,
+                key: ''
+            })]
+        }
+        case effectTypes.trustlineCreated:
+        case effectTypes.trustlineUpdated:
+        case effectTypes.trustlineRemoved: {
+            const type = 'trustline_' + effect.type.replace('trustline', '').toLowerCase()
+            return [createRecord(type, effect.source, {
+                limit: formatAmount(effect.limit || '0'),
+                ...formatAssetFields(effect.asset)
+            })]
+        }
+        case effectTypes.trustlineAuthorizationUpdated:
+            return [createRecord('trustline_flags_updated', effect.source, {
+                trustor: effect.trustor,
+                ...formatAssetFields(effect.asset),
+                ...formatFlagChanges(effect.flags, effect.prevFlags, {
+                    1: 'authorized_flag',
+                    2: 'authorized_to_maintain_liabilites_flag', //sic, matches Horizon field name
+                    4: 'clawback_enabled_flag'
+                })
+            })]
+        case effectTypes.trade:
+            return convertTrade(effect, context)
+        case effectTypes.dataEntryCreated:
+            return [createRecord('data_created', effect.source, {name: effect.name, value: effect.value})]
+        case effectTypes.dataEntryUpdated:
+            return [createRecord('data_updated', effect.source, {name: effect.name, value: effect.value})]
+        case effectTypes.dataEntryRemoved:
+            return [createRecord('data_removed', effect.source, {name: effect.name})]
+        case effectTypes.sequenceBumped:
+            return [createRecord('sequence_bumped', effect.source, {new_seq: effect.sequence})]
+        case effectTypes.claimableBalanceCreated: {
+            const details = {
+                asset: formatCanonicalAsset(effect.asset),
+                balance_id: formatBalanceId(effect.balance),
+                amount: formatAmount(effect.amount)
+            }
+            return [
+                createRecord('claimable_balance_created', effect.source, details),
+                ...effect.claimants.map(claimant => createRecord('claimable_balance_claimant_created', claimant.destination, {
+                    ...details,
+                    predicate: formatPredicate(claimant.predicate)
+                }))
+            ]
+        }
+        case effectTypes.claimableBalanceClawedBack:
+            return [createRecord('claimable_balance_clawed_back', effect.source, {balance_id: formatBalanceId(effect.balance)})]
+        case effectTypes.claimableBalanceClaimed:
+            return [createRecord('claimable_balance_claimed', effect.source, {
+                asset: formatCanonicalAsset(effect.asset),
+                balance_id: formatBalanceId(effect.balance),
+                amount: formatAmount(effect.amount)
+            })]
+        case effectTypes.accountSponsorshipCreated:
+        case effectTypes.accountSponsorshipUpdated:
+        case effectTypes.accountSponsorshipRemoved:
+            return [createSponsorshipRecord('account', effect, effect.account)]
+        case effectTypes.trustlineSponsorshipCreated:
+        case effectTypes.trustlineSponsorshipUpdated:
+        case effectTypes.trustlineSponsorshipRemoved: {
+            const details = effect.pool ? //pool-share trustline
+                {asset_type: 'liquidity_pool', liquidity_pool_id: effect.pool} :
+                {asset_type: formatAssetFields(effect.asset).asset_type, asset: formatCanonicalAsset(effect.asset)}
+            return [createSponsorshipRecord('trustline', effect, effect.account, details)]
+        }
+        case effectTypes.dataSponsorshipCreated:
+        case effectTypes.dataSponsorshipUpdated:
+        case effectTypes.dataSponsorshipRemoved:
+            return [createSponsorshipRecord('data', effect, effect.account, {data_name: effect.name})]
+        case effectTypes.claimableBalanceSponsorshipCreated:
+        case effectTypes.claimableBalanceSponsorshipUpdated:
+        case effectTypes.claimableBalanceSponsorshipRemoved:
+            return [createSponsorshipRecord('claimable_balance', effect, effect.source, {balance_id: formatBalanceId(effect.balance)})]
+        case effectTypes.signerSponsorshipCreated:
+        case effectTypes.signerSponsorshipUpdated:
+        case effectTypes.signerSponsorshipRemoved:
+            return [createSponsorshipRecord('signer', effect, effect.account, {signer: effect.signer})]
+        case effectTypes.liquidityPoolDeposited:
+            return [createRecord('liquidity_pool_deposited', effect.source, {
+                liquidity_pool: formatLiquidityPool(effect.pool, context),
+                reserves_deposited: effect.assets.map(formatReserve),
+                shares_received: formatAmount(effect.shares)
+            })]
+        case effectTypes.liquidityPoolWithdrew:
+            return [createRecord('liquidity_pool_withdrew', effect.source, {
+                liquidity_pool: formatLiquidityPool(effect.pool, context),
+                reserves_received: effect.assets.map(formatReserve),
+                shares_redeemed: formatAmount(effect.shares)
+            })]
+        case effectTypes.liquidityPoolCreated:
+            return [createRecord('liquidity_pool_created', effect.source, {
+                liquidity_pool: formatLiquidityPoolState(effect)
+            })]
+        case effectTypes.liquidityPoolRemoved:
+            return [createRecord('liquidity_pool_removed', effect.source, {liquidity_pool_id: effect.pool})]
+        default:
+            return [] //no Horizon equivalent
+    }
+}
+
+/**
+ * @param {{}} effect
+ * @param {HorizonConversionContext} context
+ * @return {HorizonEffectRecord[]}
+ */
+function convertTrade(effect, context) {
+    //asset[0]/amount[0] - sold by the maker, asset[1]/amount[1] - bought by the maker
+    if (effect.pool)
+        return [createRecord('liquidity_pool_trade', effect.source, {
+            liquidity_pool: formatLiquidityPool(effect.pool, context),
+            sold: formatReserve({asset: effect.asset[0], amount: effect.amount[0]}),
+            bought: formatReserve({asset: effect.asset[1], amount: effect.amount[1]})
+        })]
+    return [
+        createRecord('trade', effect.source, {
+            seller: effect.seller,
+            offer_id: effect.offer,
+            sold_amount: formatAmount(effect.amount[1]),
+            ...formatAssetFields(effect.asset[1], 'sold_'),
+            bought_amount: formatAmount(effect.amount[0]),
+            ...formatAssetFields(effect.asset[0], 'bought_')
+        }),
+        createRecord('trade', effect.seller, {
+            seller: effect.source,
+            offer_id: effect.offer,
+            sold_amount: formatAmount(effect.amount[0]),
+            ...formatAssetFields(effect.asset[0], 'sold_'),
+            bought_amount: formatAmount(effect.amount[1]),
+            ...formatAssetFields(effect.asset[1], 'bought_')
+        })
+    ]
+}
+
+function createRecord(type, account, details) {
+    return {
+        type,
+        type_i: horizonEffectTypes[type],
+        account,
+        ...details
+    }
+}
+
+function createSponsorshipRecord(entry, effect, account, details) {
+    const action = effect.type.substring(effect.type.indexOf('Sponsorship') + 11).toLowerCase()
+    const record = createRecord(`${entry}_sponsorship_${action}`, account, details)
+    switch (action) {
+        case 'created':
+            record.sponsor = effect.sponsor
+            break
+        case 'updated':
+            record.former_sponsor = effect.prevSponsor
+            record.new_sponsor = effect.sponsor
+            break
+        case 'removed':
+            record.former_sponsor = effect.prevSponsor
+            break
+    }
+    return record
+}
+
+/**
+ * Convert stroops to decimal string representation
+ * @param {String|BigInt} value - Amount in stroops
+ * @return {String}
+ */
+function formatAmount(value) {
+    let amount = BigInt(value)
+    const sign = amount < 0n ? '-' : ''
+    if (sign) {
+        amount = -amount
+    }
+    const fraction = (amount % 10000000n).toString().padStart(7, '0')
+    return `${sign}${amount / 10000000n}.${fraction}`
+}
+
+function formatAssetFields(asset, prefix = '') {
+    if (asset === 'XLM')
+        return {[prefix + 'asset_type']: 'native'}
+    if (isLiquidityPoolId(asset))
+        return {[prefix + 'asset_type']: 'liquidity_pool_shares', [prefix + 'liquidity_pool_id']: asset}
+    const [code, issuer, type] = asset.split('-')
+    return {
+        [prefix + 'asset_type']: type === '1' ? 'credit_alphanum4' : 'credit_alphanum12',
+        [prefix + 'asset_code']: code,
+        [prefix + 'asset_issuer']: issuer
+    }
+}
+
+function formatCanonicalAsset(asset) {
+    if (asset === 'XLM')
+        return 'native'
+    const [code, issuer] = asset.split('-')
+    return `${code}:${issuer}`
+}
+
+function formatReserve({asset, amount}) {
+    return {
+        asset: formatCanonicalAsset(asset),
+        amount: formatAmount(amount)
+    }
+}
+
+function formatLiquidityPool(pool, context) {
+    //retrieve pool state from the liquidityPoolUpdated effect of the same operation
+    const state = context.effects.find(e => e.type === effectTypes.liquidityPoolUpdated && e.pool === pool)
+    if (!state)
+        return {id: pool}
+    return formatLiquidityPoolState(state)
+}
+
+function formatLiquidityPoolState({pool, reserves, shares, accounts}) {
+    return {
+        id: pool,
+        fee_bp: liquidityPoolFee,
+        type: 'constant_product',
+        total_trustlines: accounts.toString(),
+        total_shares: formatAmount(shares),
+        reserves: reserves.map(formatReserve)
+    }
+}
+
+function formatFlagChanges(flags, prevFlags = 0, names) {
+    const res = {}
+    for (const [mask, name] of Object.entries(names)) {
+        const flag = flags & mask
+        if (flag !== (prevFlags & mask)) {
+            res[name] = !!flag
+        }
+    }
+    return res
+}
+
+function formatBalanceId(balance) {
+    return '00000000' + balance //ClaimableBalanceId V0 type prefix
+}
+
+function formatPredicate(predicate) {
+    if (predicate.and)
+        return {and: predicate.and.map(formatPredicate)}
+    if (predicate.or)
+        return {or: predicate.or.map(formatPredicate)}
+    if (predicate.not)
+        return {not: formatPredicate(predicate.not)}
+    if (predicate.absBefore !== undefined) {
+        const res = {abs_before_epoch: predicate.absBefore}
+        const timestamp = parseInt(predicate.absBefore, 10)
+        if (timestamp <= 253402300799) { //RFC3339 supports only 4-digit years
+            res.abs_before = formatTimestamp(timestamp)
+        }
+        return res
+    }
+    if (predicate.relBefore !== undefined)
+        return {rel_before: predicate.relBefore}
+    return {unconditional: true}
+}
+
+function formatTimestamp(unixTimestamp) {
+    return new Date(unixTimestamp * 1000).toISOString().replace('.000Z', 'Z')
+}
+
+function isLiquidityPoolId(asset) {
+    return asset.length === 64 && !asset.includes('-')
+}
+
+module.exports = {toHorizonEffects, convertToHorizonEffects, horizonEffectTypes}
@@ -38,10 +38,7 @@ class AssetSupplyAnalyzer {
      * Calculate differences and generate minted/burned effects if needed
      */
     analyze() {
-        for (const effect of this.effectsAnalyzer.effects) {
-            this.processEffect(effect)
-        }
-        for (const [asset, amount] of this.assetTransfers.entries()) {
+        for (const [asset, amount] of this.calculateNetTransfers()) {
             if (amount > 0n) {
                 this.effectsAnalyzer.mint(asset, amount.toString(), true)
                 this.supplyChanges |= 2
@@ -55,6 +52,17 @@ class AssetSupplyAnalyzer {
         }*/
     }
 
+    /**
+     * Aggregate asset amounts transferred by all generated effects
+     * @return {Map<String,BigInt>} - Net transferred amount for every processed asset (non-zero amounts indicate supply changes)
+     */
+    calculateNetTransfers() {
+        for (const effect of this.effectsAnalyzer.effects) {
+            this.processEffect(effect)
+        }
+        return this.assetTransfers
+    }
+
     /**
      * Process generated operation effect
      * @param {{}} effect
@@ -81,6 +89,10 @@ class AssetSupplyAnalyzer {
                 this.decrease(effect.asset, effect.amount)
                 this.supplyChanges |= 2
                 break
+            case effectTypes.inflation:
+                //inflation payouts are funded from the fee pool
+                this.decrease('XLM', effect.amount)
+                break
             case effectTypes.liquidityPoolDeposited:
                 //increase supply for every deposited asset (if liquidity provider is an issuer)
                 for (const {asset, amount} of effect.assets) {
@@ -0,0 +1,161 @@
+const effectTypes = require('../effect-types')
+const AssetSupplyAnalyzer = require('./asset-supply-analyzer')
+
+/**
+ * @typedef {{}} BalanceDiscrepancy
+ * @property {'assetTransfers'|'effectBalance'|'feeCharged'} check - Failed reconciliation check
+ * @property {Number} [operationIndex] - Index of the operation (not set for tx-level checks)
+ * @property {Number} [effectIndex] - Index of the effect within the operation (only for "effectBalance" check)
+ * @property {String} [account] - Account address (for "effectBalance" and "feeCharged" checks)
+ * @property {String} [asset] - Asset (for "assetTransfers" and "effectBalance" checks)
+ * @property {String|null} expected - Expected value (net transferred amount, ledger entry balance, or fee source balance decrease; null if the ledger entry has not been modified)
+ * @property {String} actual - Actual value derived from effects
+ */
+
+/**
+ * @typedef {{}} BalanceReconciliationReport
+ * @property {Boolean} balanced - True if no discrepancies found
+ * @property {BalanceDiscrepancy[]} discrepancies - Detected discrepancies
+ */
+
+/**
+ * Check that balance-related effects of the parsed transaction are consistent with each other and with ledger state
+ * @param {ParsedTxOperationsMetadata} parsedTx - Transaction processed by parseTxOperationsMeta with includeLedgerChanges option
+ * @return {BalanceReconciliationReport}
+ */
+function reconcileBalances(parsedTx) {
+    const discrepancies = []
+    const {operations = []} = parsedTx
+    for (let i = 0; i < operations.length; i++) {
+        const {effects, changes} = operations[i]
+        if (!effects?.length)
+            continue
+        discrepancies.push(...reconcileAssetTransfers(operations[i], i))
+        if (changes) {
+            discrepancies.push(...reconcileEffectBalances(effects, changes, i))
+        }
+    }
+    if (parsedTx.feeChanges) {
+        const discrepancy = reconcileChargedFee(parsedTx)
+        if (discrepancy) {
+            discrepancies.push(discrepancy)
+        }
+    }
+    return {
+        balanced: !discrepancies.length,
+        discrepancies
+    }
+}
+
+/**
+ * Check that debits, credits, mints, burns, claimable balances, and liquidity pool movements of every asset net out
+ * @param {BaseOperation} operation
+ * @param {Number} operationIndex
+ * @return {BalanceDiscrepancy[]}
+ */
+function reconcileAssetTransfers(operation, operationIndex) {
+    //process XLM transfers for all operations, not only for contract invocations
+    const supplyAnalyzer = new AssetSupplyAnalyzer({effects: operation.effects, isContractCall: true})
+    const res = []
+    for (const [asset, amount] of supplyAnalyzer.calculateNetTransfers()) {
+        if (amount === 0n)
+            continue
+        res.push({
+            check: 'assetTransfers',
+            operationIndex,
+            asset,
+            expected: '0',
+            actual: amount.toString()
+        })
+    }
+    return res
+}
+
+/**
+ * Check that "balance" field of every account/trustline balance change effect matches the ledger entry state
+ * @param {{}[]} effects
+ * @param {ParsedLedgerEntryMeta[]} changes
+ * @param {Number} operationIndex
+ * @return {BalanceDiscrepancy[]}
+ */
+function reconcileEffectBalances(effects, changes, operationIndex) {
+    const res = []
+    for (let i = 0; i < effects.length; i++) {
+        const effect = effects[i]
+        if (effect.type !== effectTypes.accountCredited && effect.type !== effectTypes.accountDebited || effect.balance === undefined)
+            continue
+        const change = findBalanceEntryChange(changes, effect.source, effect.asset)
+        if (change === undefined)
+            continue //contract balances are derived directly from contract data entries
+        let ledgerBalance = null //balance entry has not been modified by the operation
+        if (change) {
+            ledgerBalance = change.after ? change.after.balance : '0'
+        }
+        if (ledgerBalance !== effect.balance) {
+            res.push({
+                check: 'effectBalance',
+                operationIndex,
+                effectIndex: i,
+                account: effect.source,
+                asset: effect.asset,
+                expected: ledgerBalance,
+                actual: effect.balance
+            })
+        }
+    }
+    return res
+}
+
+/**
+ * Check that the charged fee matches the fee source account balance change
+ * @param {ParsedTxOperationsMetadata} parsedTx
+ * @return {BalanceDiscrepancy|null}
+ */
+function reconcileChargedFee(parsedTx) {
+    const feeEffect = parsedTx.effects.find(e => e.type === effectTypes.feeCharged)
+    if (!feeEffect)
+        return null
+    const {source, charged} = feeEffect
+    let balanceChange = 0n
+    //fee charges, refunds, and tx-level changes (Soroban refunds before protocol 23)
+    for (const {type, before, after} of [...parsedTx.feeChanges, ...(parsedTx.changes || [])]) {
+        if (type !== 'account' || (before || after).address !== source)
+            continue
+        balanceChange += BigInt(after?.balance || 0) - BigInt(before?.balance || 0)
+    }
+    if (-balanceChange === BigInt(charged))
+        return null
+    return {
+        check: 'feeCharged',
+        account: source,
+        asset: 'XLM',
+        expected: (-balanceChange).toString(),
+        actual: charged
+    }
+}
+
+/**
+ * Find the last change of the account or trustline holding a classic asset balance
+ * @param {ParsedLedgerEntryMeta[]} changes
+ * @param {String} account
+ * @param {String} asset
+ * @return {ParsedLedgerEntryMeta|null|undefined} - Ledger entry change, null if the entry has not been changed, or undefined for non-classic balances
+ */
+function findBalanceEntryChange(changes, account, asset) {
+    if (account.startsWith('C'))
+        return undefined
+    let matcher
+    if (asset === 'XLM') {
+        matcher = ({type, before, after}) => type === 'account' && (after || before).address === account
+    } else if (asset.includes('-')) {
+        matcher = ({type, before, after}) => type === 'trustline' && (after || before).account === account && (after || before).asset === asset
+    } else
+        return undefined
+    for (let i = changes.length - 1; i >= 0; i--) {
+        if (matcher(changes[i]))
+            return changes[i]
+    }
+    return null
+}
+
+module.exports = {reconcileBalances}
@@ -38,21 +38,13 @@ class EventsAnalyzer {
             return
         //contract-generated events
         for (const evt of events) {
-            const body = evt.body().value()
-            const rawTopics = body.topics()
-            const topics = rawTopics.map(xdrParseScVal)
-            if (topics[0] === 'DATA' && topics[1] === 'set')
-                continue //skip data entries modifications
-            const rawData = body.data()
-            //add event to the pipeline
-            this.effectsAnalyzer.addEffect({
-                type: effectTypes.contractEvent,
-                contract: StrKey.encodeContract(evt.contractId()),
-                topics,
-                rawTopics: rawTopics.map(v => v.toXDR('base64')),
-                data: processEventBodyValue(rawData),
-                rawData: rawData.toXDR('base64')
-            })
+            this.effectsAnalyzer.tryProcess(() => {
+                const effect = parseContractEvent(evt)
+                if (!effect)
+                    return
+                //add event to the pipeline
+                this.effectsAnalyzer.addEffect(effect)
+            }, 'event')
         }
     }
 
@@ -69,13 +61,15 @@ class EventsAnalyzer {
         for (const evt of diagnosticEvents) {
             if (!processSystemEvents && !(processFailedOpEffects || evt.inSuccessfulContractCall()))
                 continue //throw new UnexpectedTxMetaChangeError({type: 'diagnostic_event', action: 'failed'})
-            //parse event
-            const event = evt.event()
-            let contractId = event.contractId() || opContractId //contract id may be attached to the event itself, otherwise use contract from operation
-            if (contractId && typeof contractId !== 'string') {
-                contractId = StrKey.encodeContract(contractId)
-            }
-            this.processDiagnosticEvent(event._attributes.body._value, event._attributes.type.value, contractId, processMetrics)
+            this.effectsAnalyzer.tryProcess(() => {
+                //parse event
+                const event = evt.event()
+                let contractId = event.contractId() || opContractId //contract id may be attached to the event itself, otherwise use contract from operation
+                if (contractId && typeof contractId !== 'string') {
+                    contractId = StrKey.encodeContract(contractId)
+                }
+                this.processDiagnosticEvent(event._attributes.body._value, event._attributes.type.value, contractId, processMetrics)
+            }, 'diagnosticEvent')
         }
     }
 
@@ -91,9 +85,9 @@ class EventsAnalyzer {
         if (!topics?.length)
             return
         switch (xdrParseScVal(topics[0])) {
-            case 'fn_call': // contract call
+            case 'fn_call': { //contract call
                 if (type !== EVENT_TYPES.DIAGNOSTIC)
-                    return // skip non-diagnostic events
+                    return //skip non-diagnostic events
                 const rawArgs = body.data()
                 const funcCall = {
                     type: effectTypes.contractInvoked,
@@ -109,9 +103,10 @@ class EventsAnalyzer {
                 this.callStack.push(funcCall)
                 this.effectsAnalyzer.addEffect(funcCall)
                 break
-            case 'fn_return':
+            }
+            case 'fn_return': {
                 if (type !== EVENT_TYPES.DIAGNOSTIC)
-                    return // skip non-diagnostic events
+                    return //skip non-diagnostic events
                 //attach execution result to the contract invocation event
                 const lastFuncCall = this.callStack.pop()
                 const result = body.data()
@@ -119,9 +114,10 @@ class EventsAnalyzer {
                     lastFuncCall.result = result.toXDR('base64')
                 }
                 break
-            case 'error':
+            }
+            case 'error': {
                 if (type !== EVENT_TYPES.DIAGNOSTIC)
-                    return // skip non-diagnostic events
+                    return //skip non-diagnostic events
                 let code = topics[1].value().value()
                 if (code.name) {
                     code = code.name
@@ -133,12 +129,13 @@ class EventsAnalyzer {
                     details: processEventBodyValue(body.data())
                 })
                 break
+            }
             case 'core_metrics':
                 if (type !== EVENT_TYPES.DIAGNOSTIC)
-                    return // skip non-diagnostic events
+                    return //skip non-diagnostic events
                 if (!processMetrics)
                     return
-                this.effectsAnalyzer.addMetric(contract, xdrParseScVal(topics[1]), parseInt(processEventBodyValue(body.data())))
+                this.effectsAnalyzer.addMetric(contract, xdrParseScVal(topics[1]), parseInt(processEventBodyValue(body.data()), 10))
                 break
             //handle standard token contract events
             //see https://github.com/stellar/rs-soroban-sdk/blob/main/soroban-sdk/src/token.rs
@@ -148,7 +145,7 @@ class EventsAnalyzer {
                 const from = xdrParseScVal(topics[1])
                 const to = xdrParseScVal(topics[2])
                 if (to === from) //self transfer - nothing happens
-                    return // TODO: need additional checks
+                    return //TODO: need additional checks
                 const amount = processEventBodyValue(body.data())
                 if (!this.matchInvocationEffect(e =>
                     (e.function === 'transfer' && matchArrays([from, to, amount], e.args)) ||
@@ -266,6 +263,28 @@ class EventsAnalyzer {
     }
 }
 
+/**
+ * Convert contract-generated event to the contractEvent effect
+ * @param {xdr.ContractEvent} evt - Contract event
+ * @return {{}|null}
+ */
+function parseContractEvent(evt) {
+    const body = evt.body().value()
+    const rawTopics = body.topics()
+    const topics = rawTopics.map(xdrParseScVal)
+    if (topics[0] === 'DATA' && topics[1] === 'set')
+        return null //skip data entries modifications
+    const rawData = body.data()
+    return {
+        type: effectTypes.contractEvent,
+        contract: StrKey.encodeContract(evt.contractId()),
+        topics,
+        rawTopics: rawTopics.map(v => v.toXDR('base64')),
+        data: processEventBodyValue(rawData),
+        rawData: rawData.toXDR('base64')
+    }
+}
+
 function matchEventTopicsShape(topics, shape) {
     if (topics.length > shape.length + 1)
         return false
@@ -308,4 +327,4 @@ function processEventBodyValue(value) {
     return xdrParseScVal(value) //other scValue
 }
 
-module.exports = EventsAnalyzer
\ No newline at end of file
+module.exports = {EventsAnalyzer, parseContractEvent}
\ No newline at end of file
@@ -0,0 +1,303 @@
+const {Keypair, StrKey, hash, extractBaseAddress, xdr} = require('@stellar/stellar-base')
+
+/**
+ * Threshold categories of operations that don't require medium threshold
+ * @readonly
+ */
+const operationThresholdLevels = {
+    allowTrust: 'low',
+    setTrustLineFlags: 'low',
+    bumpSequence: 'low',
+    claimClaimableBalance: 'low',
+    inflation: 'low',
+    extendFootprintTtl: 'low',
+    restoreFootprint: 'low',
+    accountMerge: 'high'
+}
+
+const thresholdLevels = ['low', 'medium', 'high']
+
+/**
+ * @typedef {{}} AnalyzedSignature
+ * @property {String} hint - Hex-encoded signature hint
+ * @property {String} signature - Base64-encoded signature
+ * @property {String} [signer] - Matched signer key (not set if the signature doesn't match any known signer)
+ * @property {Boolean} [feeBump] - Signature of the fee bump transaction envelope
+ */
+
+/**
+ * @typedef {{}} AccountAuthorization
+ * @property {String} account - Account address
+ * @property {Number[]} operations - Indexes of operations with this source account
+ * @property {Boolean} [txSource] - Whether the account is the transaction source
+ * @property {Boolean} [feeSource] - Whether the account is the fee bump transaction fee source
+ * @property {'low'|'medium'|'high'} requiredThreshold - Threshold category required to authorize all operations of the account
+ * @property {{low: Number, medium: Number, high: Number}} [thresholds] - Account thresholds (only if account snapshot is available)
+ * @property {Number} [weight] - Achieved signers weight (only if account snapshot is available)
+ * @property {String[]} signers - Keys of account signers that authorized the transaction
+ * @property {Boolean} [authorized] - Whether the achieved weight satisfies the required threshold (only if account snapshot is available)
+ */
+
+/**
+ * @typedef {{}} SignatureAnalysis
+ * @property {AnalyzedSignature[]} signatures - Envelope signatures
+ * @property {AccountAuthorization[]} accounts - Authorization status of every transaction and operation source account
+ * @property {{signer: String, preimage: String}[]} consumedPreimages - HashX signers unlocked by preimages provided in signatures
+ * @property {String[]} consumedPreAuthTx - Pre-authorized transaction signers matching the transaction hash
+ */
+
+class SignatureAnalyzer {
+    /**
+     * @param {ParsedTxOperationsMetadata} parsedTx - Transaction processed by parseTxOperationsMeta
+     * @param {ParsedLedgerEntryState[]} [accounts] - Account snapshots before the transaction application
+     */
+    constructor(parsedTx, accounts) {
+        this.parsedTx = parsedTx
+        this.snapshots = new Map()
+        for (const account of accounts || collectAccountSnapshots(parsedTx)) {
+            if (account?.entry === 'account' && !this.snapshots.has(account.address)) {
+                this.snapshots.set(account.address, account)
+            }
+        }
+    }
+
+    /**
+     * @type {ParsedTxOperationsMetadata}
+     * @private
+     */
+    parsedTx
+    /**
+     * @type {Map<String,ParsedLedgerEntryState>}
+     * @private
+     */
+    snapshots
+    /**
+     * @type {AnalyzedSignature[]}
+     * @private
+     */
+    signatures = []
+    /**
+     * @type {{signer: String, preimage: String}[]}
+     * @private
+     */
+    consumedPreimages = []
+    /**
+     * @type {String[]}
+     * @private
+     */
+    consumedPreAuthTx = []
+
+    /**
+     * @return {SignatureAnalysis}
+     */
+    analyze() {
+        const {tx} = this.parsedTx
+        const innerTx = tx.innerTransaction || tx
+        //inner transaction sources
+        const sources = new Map()
+        const txSource = this.addSource(sources, innerTx.source, 'low')
+        txSource.txSource = true
+        const operations = this.parsedTx.operations || innerTx.operations
+        for (let i = 0; i < operations.length; i++) {
+            const operation = operations[i]
+            const source = this.addSource(sources, operation.source || innerTx.source, getOperationThresholdLevel(operation))
+            source.operations.push(i)
+        }
+        const accounts = this.authorize(innerTx, [...sources.values()])
+        //fee bump envelope is authorized separately by the fee source
+        if (tx.innerTransaction) {
+            const feeSource = this.addSource(new Map(), tx.feeSource, 'low')
+            feeSource.feeSource = true
+            accounts.push(...this.authorize(tx, [feeSource], true))
+        }
+        return {
+            signatures: this.signatures,
+            accounts,
+            consumedPreimages: this.consumedPreimages,
+            consumedPreAuthTx: this.consumedPreAuthTx
+        }
+    }
+
+    /**
+     * @param {Map<String,AccountAuthorization>} sources - Source accounts by address
+     * @param {String} address - Source account address (may be muxed)
+     * @param {'low'|'medium'|'high'} level - Required threshold category
+     * @return {AccountAuthorization}
+     * @private
+     */
+    addSource(sources, address, level) {
+        const account = extractBaseAddress(address)
+        let source = sources.get(account)
+        if (!source) {
+            source = {account, operations: [], requiredThreshold: level}
+            sources.set(account, source)
+        } else if (thresholdLevels.indexOf(level) > thresholdLevels.indexOf(source.requiredThreshold)) {
+            source.requiredThreshold = level
+        }
+        return source
+    }
+
+    /**
+     * Match envelope signatures against signers of source accounts and calculate achieved weights
+     * @param {Transaction|FeeBumpTransaction} tx - Signed transaction
+     * @param {AccountAuthorization[]} sources - Source accounts
+     * @param {Boolean} [feeBump] - Whether the transaction is a fee bump envelope
+     * @return {AccountAuthorization[]}
+     * @private
+     */
+    authorize(tx, sources, feeBump = false) {
+        const txHash = tx.hash()
+        const signers = new Map()
+        for (const {account} of sources) {
+            for (const signer of this.getAccountSigners(account)) {
+                signers.set(signer.key, signer)
+            }
+        }
+        //pre-authorized transaction signers do not require signatures
+        const matched = new Set()
+        for (const key of signers.keys()) {
+            if (key[0] === 'T' && StrKey.decodePreAuthTx(key).equals(txHash)) {
+                matched.add(key)
+                this.consumedPreAuthTx.push(key)
+            }
+        }
+        for (const decoratedSignature of tx.signatures) {
+            const signature = {
+                hint: decoratedSignature.hint().toString('hex'),
+                signature: decoratedSignature.signature().toString('base64')
+            }
+            const key = this.matchSignature(decoratedSignature, txHash, signers.keys())
+            if (key) {
+                signature.signer = key
+                matched.add(key)
+            }
+            if (feeBump) {
+                signature.feeBump = true
+            }
+            this.signatures.push(signature)
+        }
+        for (const source of sources) {
+            const accountSigners = this.getAccountSigners(source.account)
+            source.signers = accountSigners.filter(signer => matched.has(signer.key)).map(signer => signer.key)
+            const snapshot = this.snapshots.get(source.account)
+            if (snapshot) {
+                const [low, medium, high] = snapshot.thresholds.split(',').map(v => parseInt(v, 10))
+                source.thresholds = {low, medium, high}
+                //signer weights are capped at 255 by the protocol
+                source.weight = accountSigners
+                    .filter(signer => matched.has(signer.key))
+                    .reduce((total, signer) => total + Math.min(signer.weight, 255), 0)
+                //zero threshold still requires at least one valid signature
+                source.authorized = source.weight > 0 && source.weight >= source.thresholds[source.requiredThreshold]
+            }
+        }
+        return sources
+    }
+
+    /**
+     * Find signer key corresponding to the decorated signature
+     * @param {xdr.DecoratedSignature} decoratedSignature - Envelope signature
+     * @param {Buffer} txHash - Signed transaction hash
+     * @param {Iterable<String>} keys - Candidate signer keys
+     * @return {String|undefined}
+     * @private
+     */
+    matchSignature(decoratedSignature, txHash, keys) {
+        const hint = decoratedSignature.hint()
+        const signature = decoratedSignature.signature()
+        for (const key of keys) {
+            switch (key[0]) {
+                case 'G': {
+                    const publicKey = StrKey.decodeEd25519PublicKey(key)
+                    if (publicKey.subarray(28).equals(hint) && Keypair.fromPublicKey(key).verify(txHash, signature))
+                        return key
+                }
+                    break
+                case 'X': {
+                    const signerHash = StrKey.decodeSha256Hash(key)
+                    if (signerHash.subarray(28).equals(hint) && hash(signature).equals(signerHash)) {
+                        this.consumedPreimages.push({signer: key, preimage: signature.toString('hex')})
+                        return key
+                    }
+                }
+                    break
+                case 'P': {
+                    const signedPayload = xdr.SignerKeyEd25519SignedPayload.fromXDR(StrKey.decodeSignedPayload(key))
+                    const payload = signedPayload.payload()
+                    if (!getSignedPayloadHint(signedPayload.ed25519(), payload).equals(hint))
+                        break
+                    const signer = StrKey.encodeEd25519PublicKey(signedPayload.ed25519())
+                    if (Keypair.fromPublicKey(signer).verify(payload, signature))
+                        return key
+                }
+                    break
+            }
+        }
+    }
+
+    /**
+     * Retrieve account signers along with the master key
+     * @param {String} account - Account address
+     * @return {{key: String, weight: Number}[]}
+     * @private
+     */
+    getAccountSigners(account) {
+        const snapshot = this.snapshots.get(account)
+        if (!snapshot) //only the master key is known
+            return [{key: account, weight: 1}]
+        const signers = snapshot.signers.map(({key, weight}) => ({key, weight}))
+        if (snapshot.masterWeight > 0) {
+            signers.unshift({key: account, weight: snapshot.masterWeight})
+        }
+        return signers
+    }
+}
+
+/**
+ * Calculate signed payload signature hint (CAP-40)
+ * @param {Buffer} publicKey - Raw ed25519 public key of the signer
+ * @param {Buffer} payload - Signed payload
+ * @return {Buffer} - Last 4 bytes of the public key XORed with the last 4 bytes of the payload (zero-padded)
+ */
+function getSignedPayloadHint(publicKey, payload) {
+    const payloadHint = Buffer.alloc(4)
+    payload.subarray(-4).copy(payloadHint)
+    return publicKey.subarray(28).map((byte, i) => byte ^ payloadHint[i])
+}
+
+/**
+ * @param {BaseOperation} operation - Parsed operation
+ * @return {'low'|'medium'|'high'}
+ */
+function getOperationThresholdLevel(operation) {
+    if (operation.type === 'setOptions') {
+        const {masterWeight, lowThreshold, medThreshold, highThreshold, signer} = operation
+        return [masterWeight, lowThreshold, medThreshold, highThreshold, signer].some(v => v !== undefined) ? 'high' : 'medium'
+    }
+    return operationThresholdLevels[operation.type] || 'medium'
+}
+
+/**
+ * Collect the earliest known state of every account modified by the transaction
+ * @param {ParsedTxOperationsMetadata} parsedTx - Parsed transaction
+ * @return {ParsedLedgerEntryState[]}
+ */
+function collectAccountSnapshots(parsedTx) {
+    const changes = [...parsedTx.feeChanges || [], ...parsedTx.changes || []]
+    for (const operation of parsedTx.operations || []) {
+        changes.push(...operation.changes || [])
+    }
+    return changes.filter(change => change.type === 'account' && change.before).map(change => change.before)
+}
+
+/**
+ * Match transaction signatures with account signers and check whether source accounts thresholds are satisfied
+ * @param {ParsedTxOperationsMetadata} parsedTx - Transaction processed by parseTxOperationsMeta (with includeLedgerChanges option if account snapshots are not provided)
+ * @param {ParsedLedgerEntryState[]} [accounts] - Account snapshots before the transaction application (retrieved from parsed ledger changes by default)
+ * @return {SignatureAnalysis}
+ */
+function analyzeSignatures(parsedTx, accounts) {
+    return new SignatureAnalyzer(parsedTx, accounts).analyze()
+}
+
+module.exports = {analyzeSignatures}
@@ -0,0 +1,141 @@
+/**
+ * @typedef {{}} ClaimPredicate
+ * @property {ClaimPredicate[]} [and] - All predicates should be satisfied
+ * @property {ClaimPredicate[]} [or] - At least one predicate should be satisfied
+ * @property {ClaimPredicate} [not] - Predicate should not be satisfied
+ * @property {String} [absBefore] - Claimable before the absolute UNIX timestamp
+ * @property {String} [relBefore] - Claimable within the given number of seconds after the balance creation
+ */
+
+/**
+ * @typedef {{}} ClaimWindow
+ * @property {String} from - Start of the time window (inclusive UNIX timestamp)
+ * @property {String|null} to - End of the time window (exclusive UNIX timestamp, null if the window is not limited)
+ */
+
+/**
+ * @typedef {{}} ClaimPredicateEvaluation
+ * @property {Boolean} valid - Whether the claim is valid at the given time
+ * @property {ClaimWindow[]} windows - Ordered non-overlapping time windows during which the claim is valid
+ */
+
+/**
+ * Evaluate claimable balance claimant predicate (parsed by xdrParseClaimantPredicate) according to CAP-23 semantics
+ * @param {ClaimPredicate} predicate - Parsed claimant predicate ({} for unconditional claims)
+ * @param {Number|Date} createdAt - Claimable balance creation time (ledger close UNIX timestamp or Date)
+ * @param {Number|Date} [time] - Point in time to check (current time by default)
+ * @return {ClaimPredicateEvaluation}
+ */
+function evaluateClaimPredicate(predicate, createdAt, time = new Date()) {
+    createdAt = toUnixTimestamp(createdAt, 'creation time')
+    time = toUnixTimestamp(time, 'time')
+    const windows = []
+    let valid = false
+    for (const interval of resolveIntervals(predicate, createdAt)) {
+        const {to} = interval
+        //balance cannot be claimed before it has been created
+        if (to !== null && to <= createdAt)
+            continue
+        const from = interval.from === null || interval.from < createdAt ? createdAt : interval.from
+        if (time >= from && (to === null || time < to)) {
+            valid = true
+        }
+        //timestamps are int64 values that may exceed safe integer range
+        windows.push({from: from.toString(), to: to === null ? null : to.toString()})
+    }
+    return {valid, windows}
+}
+
+/**
+ * Convert predicate into the list of half-open time intervals [from, to) when it is satisfied
+ * @param {ClaimPredicate} predicate - Claimant predicate
+ * @param {BigInt} createdAt - Claimable balance creation timestamp
+ * @return {Array<{from: (BigInt|null), to: (BigInt|null)}>} - Sorted non-overlapping intervals (null stands for unbounded interval)
+ */
+function resolveIntervals(predicate, createdAt) {
+    if (!predicate || typeof predicate !== 'object')
+        throw new TypeError(`Invalid claim predicate: ${JSON.stringify(predicate)}`)
+    if (predicate.and)
+        return predicate.and.reduce((res, p) => intersect(res, resolveIntervals(p, createdAt)), [{from: null, to: null}])
+    if (predicate.or)
+        return merge(predicate.or.flatMap(p => resolveIntervals(p, createdAt)))
+    if (predicate.not)
+        return complement(resolveIntervals(predicate.not, createdAt))
+    if (predicate.absBefore !== undefined)
+        return [{from: null, to: BigInt(predicate.absBefore)}]
+    if (predicate.relBefore !== undefined)
+        return [{from: null, to: createdAt + BigInt(predicate.relBefore)}]
+    if (Object.keys(predicate).length)
+        throw new TypeError(`Unsupported claim predicate: ${JSON.stringify(predicate)}`)
+    return [{from: null, to: null}] //unconditional
+}
+
+function intersect(a, b) {
+    const res = []
+    for (const x of a) {
+        for (const y of b) {
+            const from = x.from === null ? y.from : (y.from === null || x.from > y.from ? x.from : y.from)
+            const to = x.to === null ? y.to : (y.to === null || x.to < y.to ? x.to : y.to)
+            if (from === null || to === null || from < to) {
+                res.push({from, to})
+            }
+        }
+    }
+    return merge(res)
+}
+
+function complement(intervals) {
+    const res = []
+    let from = null
+    let unbounded = true //whether the current gap starts from -infinity
+    for (const interval of intervals) {
+        if (interval.from !== null && (unbounded || from < interval.from)) {
+            res.push({from: unbounded ? null : from, to: interval.from})
+        }
+        if (interval.to === null)
+            return res
+        from = interval.to
+        unbounded = false
+    }
+    res.push({from: unbounded ? null : from, to: null})
+    return res
+}
+
+function merge(intervals) {
+    const sorted = intervals.slice().sort((a, b) => {
+        if (a.from === b.from)
+            return 0
+        if (a.from === null)
+            return -1
+        if (b.from === null)
+            return 1
+        return a.from < b.from ? -1 : 1
+    })
+    const res = []
+    for (const interval of sorted) {
+        const last = res[res.length - 1]
+        if (last && (last.to === null || interval.from === null || interval.from <= last.to)) {
+            if (last.to !== null && (interval.to === null || interval.to > last.to)) {
+                last.to = interval.to
+            }
+        } else {
+            res.push({...interval})
+        }
+    }
+    return res
+}
+
+/**
+ * @param {Number|Date} value - UNIX timestamp or Date
+ * @param {String} name - Argument name for the error message
+ * @return {BigInt}
+ */
+function toUnixTimestamp(value, name) {
+    if (value instanceof Date)
+        return BigInt(Math.floor(value.getTime() / 1000))
+    if (!Number.isInteger(value) || value < 0)
+        throw new TypeError(`Invalid claim predicate evaluation ${name}: ${value}`)
+    return BigInt(value)
+}
+
+module.exports = {evaluateClaimPredicate}
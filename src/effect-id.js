@@ -0,0 +1,73 @@
+/**
+ * @typedef {{}} EffectIdComponents
+ * @property {Number} ledgerSequence - Ledger sequence
+ * @property {Number} applicationOrder - 1-based transaction application order within the ledger
+ * @property {Number|null} operationIndex - 0-based operation index (null for transaction-level effects)
+ * @property {Number} effectIndex - 0-based effect index within the operation (or transaction-level effects)
+ */
+
+/**
+ * Generate deterministic effect identifier (compatible with Horizon effect ids format)
+ * @param {Number} ledgerSequence - Ledger sequence
+ * @param {Number} applicationOrder - 1-based transaction application order within the ledger
+ * @param {Number|null} operationIndex - 0-based operation index (null for transaction-level effects)
+ * @param {Number} effectIndex - 0-based effect index within the operation (or transaction-level effects)
+ * @return {String}
+ */
+function encodeEffectId(ledgerSequence, applicationOrder, operationIndex, effectIndex) {
+    const operationOrder = operationIndex === null || operationIndex === undefined ? 0 : operationIndex + 1
+    if (!(ledgerSequence >= 0 && ledgerSequence < 0x80000000))
+        throw new RangeError(`Invalid ledger sequence: ${ledgerSequence}`)
+    if (!(applicationOrder > 0 && applicationOrder < 0x100000))
+        throw new RangeError(`Invalid transaction application order: ${applicationOrder}`)
+    if (!(operationOrder >= 0 && operationOrder < 0x1000))
+        throw new RangeError(`Invalid operation index: ${operationIndex}`)
+    if (!(effectIndex >= 0))
+        throw new RangeError(`Invalid effect index: ${effectIndex}`)
+    //total order id: 32 bits ledger sequence + 20 bits tx application order + 12 bits operation order
+    const toid = (BigInt(ledgerSequence) << 32n) | (BigInt(applicationOrder) << 12n) | BigInt(operationOrder)
+    return toid.toString().padStart(19, '0') + '-' + (effectIndex + 1).toString().padStart(10, '0')
+}
+
+/**
+ * Decode effect identifier generated by encodeEffectId
+ * @param {String} id - Effect identifier (or Horizon-style paging token)
+ * @return {EffectIdComponents}
+ */
+function decodeEffectId(id) {
+    const match = /^(\d{1,19})-(\d{1,10})$/.exec(id)
+    if (!match)
+        throw new TypeError(`Invalid effect id: ${id}`)
+    const toid = BigInt(match[1])
+    const operationOrder = Number(toid & 0xFFFn)
+    return {
+        ledgerSequence: Number(toid >> 32n),
+        applicationOrder: Number((toid >> 12n) & 0xFFFFFn),
+        operationIndex: operationOrder === 0 ? null : operationOrder - 1,
+        effectIndex: parseInt(match[2], 10) - 1
+    }
+}
+
+/**
+ * Assign deterministic identifiers to all transaction and operation effects
+ * @param {ParsedTxOperationsMetadata} parsedTx - Parsed transaction
+ * @param {Number} ledgerSequence - Ledger sequence
+ * @param {Number} applicationOrder - 1-based transaction application order within the ledger
+ */
+function assignEffectIds(parsedTx, ledgerSequence, applicationOrder) {
+    const assign = (effects, operationIndex) => {
+        if (!effects)
+            return
+        for (let i = 0; i < effects.length; i++) {
+            effects[i].id = encodeEffectId(ledgerSequence, applicationOrder, operationIndex, i)
+        }
+    }
+    assign(parsedTx.effects, null)
+    if (parsedTx.operations) {
+        for (let i = 0; i < parsedTx.operations.length; i++) {
+            assign(parsedTx.operations[i].effects, i)
+        }
+    }
+}
+
+module.exports = {encodeEffectId, decodeEffectId, assignEffectIds}
@@ -4,9 +4,11 @@
  */
 const effectTypes = {
     feeCharged: 'feeCharged',
+    operationFailed: 'operationFailed',
 
     accountCreated: 'accountCreated',
     accountRemoved: 'accountRemoved',
+    accountMerged: 'accountMerged',
 
     accountDebited: 'accountDebited',
     accountCredited: 'accountCredited',
@@ -25,6 +27,8 @@ const effectTypes = {
     trustlineRemoved: 'trustlineRemoved',
     trustlineAuthorizationUpdated: 'trustlineAuthorizationUpdated',
 
+    liabilitiesUpdated: 'liabilitiesUpdated',
+
     assetMinted: 'assetMinted',
     assetBurned: 'assetBurned',
 
@@ -38,6 +42,8 @@ const effectTypes = {
 
     trade: 'trade',
 
+    pathPayment: 'pathPayment',
+
     inflation: 'inflation',
 
     sequenceBumped: 'sequenceBumped',
@@ -48,6 +54,8 @@ const effectTypes = {
 
     claimableBalanceCreated: 'claimableBalanceCreated',
     claimableBalanceRemoved: 'claimableBalanceRemoved',
+    claimableBalanceClaimed: 'claimableBalanceClaimed',
+    claimableBalanceClawedBack: 'claimableBalanceClawedBack',
 
     liquidityPoolDeposited: 'liquidityPoolDeposited',
     liquidityPoolWithdrew: 'liquidityPoolWithdrew',
@@ -1,39 +1,52 @@
 const {StrKey, hash, xdr, nativeToScVal} = require('@stellar/stellar-base')
 const effectTypes = require('./effect-types')
 const {parseLedgerEntryChanges} = require('./parser/ledger-entry-changes-parser')
-const {xdrParseAsset, xdrParseAccountAddress, xdrParseScVal} = require('./parser/tx-xdr-parser-utils')
+const {xdrParseAsset, xdrParseAccountAddress, xdrParseScVal, calculateTradePrice, priceFormats} = require('./parser/tx-xdr-parser-utils')
 const {analyzeSignerChanges} = require('./aggregation/signer-changes-analyzer')
 const {contractIdFromPreimage} = require('./parser/contract-preimage-encoder')
-const EventsAnalyzer = require('./aggregation/events-analyzer')
+const {EventsAnalyzer} = require('./aggregation/events-analyzer')
 const AssetSupplyAnalyzer = require('./aggregation/asset-supply-analyzer')
 const {mapSacContract} = require('./aggregation/sac-contract-mapper')
-const {UnexpectedTxMetaChangeError, TxMetaEffectParserError} = require('./errors')
+const {UnexpectedTxMetaChangeError, TxMetaEffectParserError, errorCodes, createProcessingWarning} = require('./errors')
 const {generateContractCodeEntryHash} = require('./parser/ledger-key')
+const {parseRawOpResult} = require('./parser/tx-result-parser')
+const {decodeFlags, diffFlags} = require('./flags')
 
 class EffectsAnalyzer {
     constructor({
-                    operation,
-                    meta,
-                    result,
-                    network,
-                    events,
-                    diagnosticEvents,
-                    mapSac,
-                    processSystemEvents,
-                    processFailedOpEffects,
-                    processMetrics
-                }) {
+        operation,
+        meta,
+        result,
+        network,
+        events,
+        diagnosticEvents,
+        mapSac,
+        processSystemEvents,
+        processFailedOpEffects,
+        processMetrics,
+        priceFormat = 'number',
+        strict = true
+    }) {
         //set execution context
         if (!operation.source)
-            throw new TxMetaEffectParserError('Operation source is not explicitly defined')
+            throw new TxMetaEffectParserError('Operation source is not explicitly defined', {code: errorCodes.missingOperationSource})
+        if (!priceFormats.includes(priceFormat))
+            throw new TypeError(`Unsupported price format: "${priceFormat}"`)
         this.operation = operation
         this.isContractCall = this.operation.type === 'invokeHostFunction'
-        this.result = result
-        this.changes = parseLedgerEntryChanges(meta)
+        //failed operation results contain only the result code
+        if (result?.failed) {
+            this.failedResultCode = result.resultType
+        } else {
+            this.result = result
+        }
+        this.strict = strict !== false
+        this.changes = parseLedgerEntryChanges(meta, this.strict ? undefined : e => this.addWarning(e, 'ledgerEntryChange'), priceFormat)
         this.source = this.operation.source
         this.events = events
         this.processFailedOpEffects = processFailedOpEffects
         this.processMetrics = processMetrics
+        this.priceFormat = priceFormat
         if (diagnosticEvents?.length) {
             this.diagnosticEvents = diagnosticEvents
             if (processSystemEvents) {
@@ -80,6 +93,12 @@ class EffectsAnalyzer {
      * @readonly
      */
     result = null
+    /**
+     * Result code name of the failed operation
+     * @type {String}
+     * @readonly
+     */
+    failedResultCode
     /**
      * @type {String}
      * @private
@@ -106,12 +125,28 @@ class EffectsAnalyzer {
      * @private
      */
     metrics
+    /**
+     * Whether to throw an error on unexpected ledger entry changes and events instead of skipping them
+     * @type {Boolean}
+     * @readonly
+     */
+    strict = true
+    /**
+     * Descriptions of changes and events skipped in non-strict mode
+     * @type {ProcessingWarning[]}
+     * @readonly
+     */
+    warnings = []
 
     analyze() {
+        //report operation failure reason
+        if (this.failedResultCode) {
+            this.addEffect(processOperationFailedEffect(this.operation, this.failedResultCode))
+        }
         //find appropriate parser method
         const parse = this[this.operation.type]
         if (parse) {
-            parse.call(this)
+            this.tryProcess(() => parse.call(this), 'operation')
         }
         //process Soroban events
         new EventsAnalyzer(this).analyze()
@@ -122,7 +157,7 @@ class EffectsAnalyzer {
         //handle effects that are processed indirectly
         this.processSponsorshipEffects()
         //calculate minted/burned assets
-        new AssetSupplyAnalyzer(this).analyze()
+        this.tryProcess(() => new AssetSupplyAnalyzer(this).analyze(), 'assetSupply')
         //add Soroban op metrics if available
         if (this.metrics) {
             this.addEffect(this.metrics)
@@ -130,6 +165,31 @@ class EffectsAnalyzer {
         return this.effects
     }
 
+    /**
+     * Run processing step, in non-strict mode errors are recorded as warnings and the step is skipped
+     * @param {Function} step - Processing callback
+     * @param {String} skipped - Kind of the processed item
+     * @param {TxMetaEffectParserErrorDetails} [context] - Processing context
+     */
+    tryProcess(step, skipped, context) {
+        if (this.strict)
+            return step()
+        try {
+            return step()
+        } catch (e) {
+            this.addWarning(e, skipped, context)
+        }
+    }
+
+    /**
+     * @param {Error} e - Processing error
+     * @param {String} skipped - Kind of the skipped item
+     * @param {TxMetaEffectParserErrorDetails} [context] - Processing context
+     */
+    addWarning(e, skipped, context) {
+        this.warnings.push(createProcessingWarning(e, skipped, context))
+    }
+
     /**
      * @param {{}} effect
      * @param {Number} [atPosition]
@@ -157,6 +217,7 @@ class EffectsAnalyzer {
         if (balance !== undefined) {
             effect.balance = balance
         }
+        this.attachMuxedAccount(effect, [this.operation.source, this.operation.from, this.operation.destination])
         this.addEffect(effect)
     }
 
@@ -172,9 +233,25 @@ class EffectsAnalyzer {
         if (balance !== undefined) {
             effect.balance = balance
         }
+        this.attachMuxedAccount(effect, [this.operation.destination, this.operation.source])
         this.addEffect(effect)
     }
 
+    /**
+     * Attach muxed address and id to the balance change effect if the operation referenced the account as a muxed account
+     * @param {{}} effect - Balance change effect
+     * @param {String[]} addresses - Operation account addresses in the matching priority order
+     * @private
+     */
+    attachMuxedAccount(effect, addresses) {
+        for (const address of addresses) {
+            if (typeof address === 'string' && address[0] === 'M' && normalizeAddress(address) === effect.source) {
+                attachMuxedAddress(effect, address)
+                return
+            }
+        }
+    }
+
     mint(asset, amount, autoLookupPosition = false) {
         const position = autoLookupPosition ?
             this.effects.findIndex(e => e.asset === asset || e.assets?.find(a => a.asset === asset)) :
@@ -213,9 +290,9 @@ class EffectsAnalyzer {
         if (sorobanExt) {
             const attrs = sorobanExt._attributes
             const fee = {
-                nonrefundable: parseInt(parseLargeInt(attrs.totalNonRefundableResourceFeeCharged)),
-                refundable: parseInt(parseLargeInt(attrs.totalRefundableResourceFeeCharged)),
-                rent: parseInt(parseLargeInt(attrs.rentFeeCharged))
+                nonrefundable: parseInt(parseLargeInt(attrs.totalNonRefundableResourceFeeCharged), 10),
+                refundable: parseInt(parseLargeInt(attrs.totalRefundableResourceFeeCharged), 10),
+                rent: parseInt(parseLargeInt(attrs.rentFeeCharged), 10)
             }
             this.addMetric(this.retrieveOpContractId(), 'fee', fee)
         }
@@ -225,7 +302,7 @@ class EffectsAnalyzer {
         const sourceAccount = normalizeAddress(this.source)
         const change = this.changes.find(ch => ch.type === 'account' && ch.before.address === sourceAccount)
         if (!change)
-            return // failed tx or no changes
+            return //failed tx or no changes
         const {before, after} = change
         if (before.homeDomain !== after.homeDomain) {
             this.addEffect({
@@ -240,11 +317,11 @@ class EffectsAnalyzer {
             })
         }
         if (before.flags !== after.flags) {
-            this.addEffect({
+            this.addEffect(describeFlags({
                 type: effectTypes.accountFlagsUpdated,
                 flags: after.flags,
                 prevFlags: before.flags
-            })
+            }, 'account'))
         }
         if (before.inflationDest !== after.inflationDest) {
             this.addEffect({
@@ -269,13 +346,13 @@ class EffectsAnalyzer {
             throw new UnexpectedTxMetaChangeError(change)
         const {before, after} = change
         if (before.flags !== after.flags) {
-            this.addEffect({
+            this.addEffect(describeFlags({
                 type: effectTypes.trustlineAuthorizationUpdated,
                 trustor: this.operation.trustor,
                 asset: after.asset,
                 flags: after.flags,
                 prevFlags: before.flags
-            })
+            }, 'trustline'))
             for (const change of this.changes) {
                 if (change.type !== 'liquidityPool')
                     continue
@@ -295,13 +372,103 @@ class EffectsAnalyzer {
     }
 
     inflation() {
-        /*const paymentEffects = (result.inflationPayouts || []).map(ip => ({
-            type: effectTypes.accountCredited,
-            source: ip.account,
-            asset: 'XLM',
-            amount: ip.amount
-        }))*/
-        this.addEffect({type: effectTypes.inflation})
+        const payouts = this.result?.inflationPayouts
+        if (!payouts) { //payouts are not available for failed operations
+            this.addEffect({type: effectTypes.inflation})
+            return
+        }
+        let paid = 0n
+        for (const {amount} of payouts) {
+            paid += BigInt(amount)
+        }
+        this.addEffect({
+            type: effectTypes.inflation,
+            amount: paid.toString(),
+            payouts: payouts.length
+        })
+        for (const {account, amount} of payouts) {
+            //take the resulting balance from the destination account state
+            const change = this.changes.find(ch => ch.type === 'account' && ch.after?.address === account)
+            this.credit(amount, 'XLM', account, change?.after.balance)
+        }
+    }
+
+    accountMerge() {
+        if (!this.result?.actualMergedAmount)
+            return //tx failed
+        const account = normalizeAddress(this.source)
+        const destination = normalizeAddress(this.operation.destination)
+        const amount = this.result.actualMergedAmount
+        const effect = {
+            type: effectTypes.accountMerged,
+            account,
+            destination,
+            amount
+        }
+        const destinationMuxedId = parseMuxedId(this.operation.destination)
+        if (destinationMuxedId) {
+            effect.destinationMuxed = this.operation.destination
+            effect.destinationMuxedId = destinationMuxedId
+        }
+        //compare the merged amount with actual balance changes of both accounts
+        let debited = 0n
+        let credited = 0n
+        for (const {type, before, after} of this.changes) {
+            if (type !== 'account')
+                continue
+            const address = (before || after).address
+            if (address === account) {
+                debited += BigInt(before?.balance || 0) - BigInt(after?.balance || 0)
+            } else if (address === destination) {
+                credited += BigInt(after?.balance || 0) - BigInt(before?.balance || 0)
+            }
+        }
+        if (debited.toString() !== amount || credited.toString() !== amount) {
+            effect.mismatch = {
+                debited: debited.toString(),
+                credited: credited.toString()
+            }
+        }
+        this.addEffect(effect)
+    }
+
+    claimClaimableBalance() {
+        const before = this.findRemovedClaimableBalance()
+        if (!before)
+            return //tx failed
+        const claimant = normalizeAddress(this.source)
+        this.addEffect({
+            type: effectTypes.claimableBalanceClaimed,
+            balance: before.balanceId,
+            asset: before.asset,
+            amount: before.amount,
+            claimant,
+            predicate: before.claimants.find(c => c.destination === claimant)?.predicate
+        })
+    }
+
+    clawbackClaimableBalance() {
+        const before = this.findRemovedClaimableBalance()
+        if (!before)
+            return //tx failed
+        this.addEffect({
+            type: effectTypes.claimableBalanceClawedBack,
+            balance: before.balanceId,
+            asset: before.asset,
+            amount: before.amount,
+            issuer: normalizeAddress(this.source)
+        })
+    }
+
+    /**
+     * Find the state of the claimable balance referenced by the operation before its removal
+     * @return {{}|undefined}
+     * @private
+     */
+    findRemovedClaimableBalance() {
+        //operation balanceId contains a 4-byte type discriminant prefix
+        const {balanceId} = this.operation
+        return this.changes.find(ch => ch.type === 'claimableBalance' && ch.action === 'removed' && balanceId.endsWith(ch.before.balanceId))?.before
     }
 
     bumpSequence() {
@@ -321,10 +488,12 @@ class EffectsAnalyzer {
 
     pathPaymentStrictReceive() {
         this.processDexOperationEffects()
+        this.processPathPaymentSummary()
     }
 
     pathPaymentStrictSend() {
         this.processDexOperationEffects()
+        this.processPathPaymentSummary()
     }
 
     manageSellOffer() {
@@ -402,7 +571,7 @@ class EffectsAnalyzer {
                 break
             }
             case 'createContract':
-            case 'createContractV2':
+            case 'createContractV2': {
                 const preimage = value.contractIdPreimage()
                 const executable = value.executable()
                 const executableType = executable.switch().name
@@ -416,7 +585,7 @@ class EffectsAnalyzer {
                         effect.kind = 'wasm'
                         effect.wasmHash = executable.wasmHash().toString('hex')
                         break
-                    case 'contractExecutableStellarAsset':
+                    case 'contractExecutableStellarAsset': {
                         const preimageParams = preimage.value()
                         switch (preimage.switch().name) {
                             case 'contractIdPreimageFromAddress':
@@ -429,11 +598,12 @@ class EffectsAnalyzer {
                                 effect.asset = xdrParseAsset(preimageParams)
                                 break
                             default:
-                                throw new TxMetaEffectParserError('Unknown preimage type: ' + preimage.switch().name)
+                                throw new TxMetaEffectParserError('Unknown preimage type: ' + preimage.switch().name, {code: errorCodes.unsupportedHostFunction})
                         }
                         break
+                    }
                     default:
-                        throw new TxMetaEffectParserError('Unknown contract type: ' + executableType)
+                        throw new TxMetaEffectParserError('Unknown contract type: ' + executableType, {code: errorCodes.unsupportedHostFunction})
                 }
                 if (func.arm() === 'createContractV2') {
                     const args = value.constructorArgs() //array
@@ -443,8 +613,9 @@ class EffectsAnalyzer {
                 }
                 this.addEffect(effect, 0)
                 break
+            }
             default:
-                throw new TxMetaEffectParserError('Unknown host function call type: ' + func.arm())
+                throw new TxMetaEffectParserError('Unknown host function call type: ' + func.arm(), {code: errorCodes.unsupportedHostFunction})
         }
     }
 
@@ -474,6 +645,10 @@ class EffectsAnalyzer {
                 amount: claimedOffer.amount,
                 asset: claimedOffer.asset
             }
+            const price = calculateTradePrice(claimedOffer.amount, this.priceFormat)
+            if (price !== undefined) {
+                trade.price = price
+            }
             if (claimedOffer.poolId) {
                 trade.pool = claimedOffer.poolId.toString('hex')
             } else {
@@ -485,59 +660,116 @@ class EffectsAnalyzer {
         }
     }
 
+    processPathPaymentSummary() {
+        if (!this.result?.payment)
+            return
+        const {sendAsset, destAsset} = this.operation
+        const path = (this.operation.path || []).map(asset => xdrParseAsset(asset))
+        const {payment, claimedOffers} = this.result
+        //group trades by conversion hops (trades are executed in the path order)
+        const hops = []
+        let from = xdrParseAsset(sendAsset)
+        let tradeIndex = 0
+        for (const to of [...path, xdrParseAsset(destAsset)]) {
+            if (to === from)
+                continue //no conversion needed
+            const hop = {
+                asset: [from, to],
+                amount: ['0', '0'],
+                trades: []
+            }
+            //claimed offers are described from the maker perspective: asset[0] – sold by the maker, asset[1] – bought
+            for (; tradeIndex < claimedOffers.length; tradeIndex++) {
+                const {asset, amount, poolId, offerId, account} = claimedOffers[tradeIndex]
+                if (asset[1] !== from || asset[0] !== to)
+                    break
+                const trade = poolId ?
+                    {pool: poolId.toString('hex')} :
+                    {offer: offerId, seller: account}
+                trade.amount = [amount[1], amount[0]]
+                hop.trades.push(trade)
+                hop.amount = [(BigInt(hop.amount[0]) + BigInt(amount[1])).toString(), (BigInt(hop.amount[1]) + BigInt(amount[0])).toString()]
+            }
+            hops.push(hop)
+            from = to
+        }
+        this.addEffect({
+            type: effectTypes.pathPayment,
+            destination: payment.account,
+            asset: [xdrParseAsset(sendAsset), payment.asset],
+            amount: [hops.length ? hops[0].amount[0] : payment.amount, payment.amount],
+            path,
+            hops
+        })
+    }
+
     processSponsorshipEffects() {
         for (const change of this.changes) {
-            const {type, action, before, after} = change
-            const effect = {}
-            switch (action) {
-                case 'created':
-                    if (!after.sponsor)
-                        continue
-                    effect.sponsor = after.sponsor
-                    break
-                case 'updated':
-                    if (before.sponsor === after.sponsor)
-                        continue
-                    effect.sponsor = after.sponsor
-                    effect.prevSponsor = before.sponsor
-                    break
-                case 'removed':
-                    if (!before.sponsor)
-                        continue
-                    effect.prevSponsor = before.sponsor
-                    break
+            this.tryProcess(() => this.processSponsorshipChange(change), 'ledgerEntryChange', {entryType: change.type, action: change.action})
+        }
+    }
+
+    processSponsorshipChange({type, action, before, after}) {
+        const effect = {}
+        switch (action) {
+            case 'restored':
+                return //sponsorship doesn't change on restoration
+            case 'created':
+                if (!after.sponsor)
+                    return
+                effect.sponsor = after.sponsor
+                break
+            case 'updated':
+                if (before.sponsor === after.sponsor)
+                    return
+                effect.sponsor = after.sponsor
+                effect.prevSponsor = before.sponsor
+                break
+            case 'removed':
+                if (!before.sponsor)
+                    return
+                effect.prevSponsor = before.sponsor
+                break
+        }
+        switch (type) {
+            case 'account':
+                effect.account = before?.address || after?.address
+                break
+            case 'trustline': {
+                const {account, asset} = after || before
+                effect.account = account
+                effect.asset = asset
+                if (!asset.includes('-')) { //pool-share trustline
+                    effect.pool = asset
+                }
+                break
             }
-            switch (type) {
-                case 'account':
-                    effect.account = before?.address || after?.address
-                    break
-                case 'trustline':
-                    effect.account = before?.account || after?.account
-                    effect.asset = before?.asset || after?.asset
-                    break
-                case 'offer':
-                    effect.account = before?.account || after?.account
-                    effect.offer = before?.id || after?.id
-                    break
-                case 'data':
-                    effect.account = before?.account || after?.account
-                    effect.name = before?.name || after?.name
-                    break
-                case 'claimableBalance':
-                    effect.balance = before?.balanceId || after?.balanceId
-                    //TODO: add claimable balance asset to the effect
-                    break
-                case 'liquidityPool': //ignore??
-                    continue
+            case 'offer':
+                effect.account = before?.account || after?.account
+                effect.offer = before?.id || after?.id
+                break
+            case 'data':
+                effect.account = before?.account || after?.account
+                effect.name = before?.name || after?.name
+                break
+            case 'claimableBalance': {
+                const {balanceId, asset, amount, claimants} = after || before
+                effect.balance = balanceId
+                effect.asset = asset
+                effect.amount = amount
+                effect.claimants = claimants
+                break
             }
-            effect.type = encodeSponsorshipEffectName(action, type)
-            this.addEffect(effect)
+            case 'liquidityPool': //pool entries cannot be sponsored, sponsorship is reported for pool-share trustlines
+                return
         }
+        effect.type = encodeSponsorshipEffectName(action, type)
+        this.addEffect(effect)
     }
 
     processAccountChanges({action, before, after}) {
         switch (action) {
-            case 'created':
+            case 'created': {
                 const accountCreated = {
                     type: effectTypes.accountCreated,
                     account: after.address
@@ -550,16 +782,18 @@ class EffectsAnalyzer {
                     this.credit(after.balance, 'XLM', after.address, after.balance)
                 }
                 break
+            }
             case 'updated':
-                if (before.balance !== after.balance) {
+                if (before.balance !== after.balance && this.operation.type !== 'inflation') { //inflation payouts are processed separately
                     this.processBalanceChange(after.address, 'XLM', before.balance, after.balance)
                 }
+                this.processLiabilitiesChange(after.address, 'XLM', before.liabilities, after.liabilities)
                 //other operations do not yield signer sponsorship effects
                 if (this.operation.type === 'setOptions' || this.operation.type === 'revokeSignerSponsorship') {
                     this.processSignerSponsorshipEffects({before, after})
                 }
                 break
-            case 'removed':
+            case 'removed': {
                 if (before.balance > 0) {
                     this.debit(before.balance, 'XLM', before.address, '0')
                 }
@@ -571,6 +805,7 @@ class EffectsAnalyzer {
                 }
                 this.addEffect(accountRemoved)
                 break
+            }
         }
 
         for (const effect of analyzeSignerChanges(before, after)) {
@@ -599,10 +834,14 @@ class EffectsAnalyzer {
                 if (before.balance !== after.balance) {
                     this.processBalanceChange(after.account, after.asset, before.balance, after.balance)
                 }
+                this.processLiabilitiesChange(after.account, after.asset, before.liabilities, after.liabilities)
                 if (before.limit === after.limit && before.flags === after.flags)
                     return
                 trustEffect.type = effectTypes.trustlineUpdated
                 trustEffect.limit = snapshot.limit
+                if (before.flags !== after.flags) {
+                    trustEffect.prevFlags = before.flags
+                }
                 break
             case 'removed':
                 trustEffect.type = effectTypes.trustlineRemoved
@@ -611,7 +850,7 @@ class EffectsAnalyzer {
                 }
                 break
         }
-        this.addEffect(trustEffect)
+        this.addEffect(describeFlags(trustEffect, 'trustline'))
     }
 
     processBalanceChange(account, asset, beforeBalance, afterBalance) {
@@ -626,6 +865,18 @@ class EffectsAnalyzer {
         }
     }
 
+    processLiabilitiesChange(account, asset, beforeLiabilities, afterLiabilities) {
+        if (beforeLiabilities.buying === afterLiabilities.buying && beforeLiabilities.selling === afterLiabilities.selling)
+            return
+        this.addEffect({
+            type: effectTypes.liabilitiesUpdated,
+            source: account,
+            asset,
+            liabilities: afterLiabilities,
+            prevLiabilities: beforeLiabilities
+        })
+    }
+
     processSignerSponsorshipEffects({before, after}) {
         if (!before.signerSponsoringIDs?.length && !after.signerSponsoringIDs?.length)
             return
@@ -698,14 +949,14 @@ class EffectsAnalyzer {
                 effect.price = after.price
                 break
             case 'updated':
-                if (before.price === after.price && before.asset.join() === after.asset.join() && before.amount === after.amount)
+                if (isSamePrice(before.priceR, after.priceR) && before.asset.join() === after.asset.join() && before.amount === after.amount)
                     return //no changes - skip
                 effect.type = effectTypes.offerUpdated
                 effect.amount = after.amount
                 effect.price = after.price
                 break
         }
-        this.addEffect(effect)
+        this.addEffect(describeFlags(effect, 'offer'))
     }
 
     processLiquidityPoolChanges({action, before, after}) {
@@ -745,24 +996,24 @@ class EffectsAnalyzer {
     processClaimableBalanceChanges({action, before, after}) {
         switch (action) {
             case 'created':
-                this.addEffect({
+                this.addEffect(describeClaimableBalanceFlags({
                     type: effectTypes.claimableBalanceCreated,
                     sponsor: after.sponsor,
                     balance: after.balanceId,
                     asset: after.asset,
                     amount: after.amount,
                     claimants: after.claimants
-                })
+                }, after.flags))
                 break
             case 'removed':
-                this.addEffect({
+                this.addEffect(describeClaimableBalanceFlags({
                     type: effectTypes.claimableBalanceRemoved,
                     sponsor: before.sponsor,
                     balance: before.balanceId,
                     asset: before.asset,
                     amount: before.amount,
                     claimants: before.claimants
-                })
+                }, before.flags))
                 break
             case 'updated':
                 //nothing to process here
@@ -839,7 +1090,11 @@ class EffectsAnalyzer {
                 effect.wasmHash = after.wasmHash
                 break
             default:
-                throw new TxMetaEffectParserError('Unexpected contract type: ' + kind)
+                throw new TxMetaEffectParserError('Unexpected contract type: ' + kind, {
+                    code: errorCodes.unsupportedLedgerEntry,
+                    entryType: 'contractData',
+                    action
+                })
         }
         if (action === 'created') {
             if (this.effects.some(e => e.type === effectTypes.contractCreated && e.contract === contract)) {
@@ -897,7 +1152,7 @@ class EffectsAnalyzer {
                 break //processed separately
             case 'updated':
                 break //it doesn't change the state
-            case 'removed':
+            case 'removed': {
                 const effect = {
                     type: effectTypes.contractCodeRemoved,
                     wasmHash: hash,
@@ -905,6 +1160,7 @@ class EffectsAnalyzer {
                 }
                 this.addEffect(effect)
                 break
+            }
         }
     }
 
@@ -980,46 +1236,51 @@ class EffectsAnalyzer {
     }
 
     processChanges() {
-        for (const change of this.changes)
-            switch (change.type) {
-                case 'account':
-                    this.processAccountChanges(change)
-                    break
-                case 'trustline':
-                    this.processTrustlineEffectsChanges(change)
-                    break
-                case 'claimableBalance':
-                    this.processClaimableBalanceChanges(change)
-                    break
-                case 'offer':
-                    this.processOfferChanges(change)
-                    break
-                case 'liquidityPool':
-                    this.processLiquidityPoolChanges(change)
-                    break
-                case 'data':
-                    this.processDataEntryChanges(change)
-                    break
-                case 'contractData':
-                    if (change.before?.kind || change.after?.kind) {
-                        this.processContractChanges(change)
-                    }
-                    break
-                case 'contractCode':
-                    this.processContractCodeChanges(change)
-                    break
-                case 'ttl':
-                    this.processTtlChanges(change)
-                    break
-                default:
-                    throw new UnexpectedTxMetaChangeError(change)
-            }
+        for (const change of this.changes) {
+            this.tryProcess(() => this.processChange(change), 'ledgerEntryChange', {entryType: change.type, action: change.action})
+        }
+    }
+
+    processChange(change) {
+        switch (change.type) {
+            case 'account':
+                this.processAccountChanges(change)
+                break
+            case 'trustline':
+                this.processTrustlineEffectsChanges(change)
+                break
+            case 'claimableBalance':
+                this.processClaimableBalanceChanges(change)
+                break
+            case 'offer':
+                this.processOfferChanges(change)
+                break
+            case 'liquidityPool':
+                this.processLiquidityPoolChanges(change)
+                break
+            case 'data':
+                this.processDataEntryChanges(change)
+                break
+            case 'contractData':
+                if (change.before?.kind || change.after?.kind) {
+                    this.processContractChanges(change)
+                }
+                break
+            case 'contractCode':
+                this.processContractCodeChanges(change)
+                break
+            case 'ttl':
+                this.processTtlChanges(change)
+                break
+            default:
+                throw new UnexpectedTxMetaChangeError(change)
+        }
     }
 
     processStateChanges() {
         for (const change of this.changes)
             if (change.type === 'contractData') {
-                this.processContractStateEntryChanges(change)
+                this.tryProcess(() => this.processContractStateEntryChanges(change), 'ledgerEntryChange', {entryType: change.type, action: change.action})
             }
     }
 
@@ -1043,10 +1304,79 @@ class EffectsAnalyzer {
     }
 }
 
+/**
+ * Analyze effects of a single operation
+ * @param {String} network - Network passphrase
+ * @param {BaseOperation} operation - Parsed operation (operation source should be explicitly defined)
+ * @param {xdr.OperationMeta|xdr.OperationMetaV2|xdr.LedgerEntryChange[]} meta - Operation metadata or ledger entry changes
+ * @param {xdr.OperationResult|{}} [result] - Operation result XDR or parsed operation result
+ * @param {xdr.ContractEvent[]} [events] - Soroban contract events (retrieved from OperationMetaV2 if not provided)
+ * @param {xdr.DiagnosticEvent[]} [diagnosticEvents] - Soroban diagnostic events
+ * @param {Boolean} [mapSac] - Whether to create a map SAC->Asset
+ * @param {Boolean} [processSystemEvents] - Emit effects for contract errors and resource stats
+ * @param {Boolean} [processFailedOpEffects] - Whether to generate effects for failed operations
+ * @param {Boolean} [processMetrics] - Process invocation metrics emitted by Soroban
+ * @param {PriceFormat} [priceFormat] - Format of offer and trade prices: "number" (default), "rational", or "decimal"
+ * @param {Boolean} [strict] - Throw an error on unexpected ledger entry changes and events (if false, offending entries are skipped and reported as warnings)
+ * @param {Function} [onWarning] - Callback invoked with every processing warning in non-strict mode
+ * @return {{}[]} - Operation effects
+ */
+function analyzeOperationEffects({
+    network,
+    operation,
+    meta,
+    result,
+    events,
+    diagnosticEvents,
+    mapSac = false,
+    processSystemEvents = false,
+    processFailedOpEffects = false,
+    processMetrics = true,
+    priceFormat = 'number',
+    strict = true,
+    onWarning
+}) {
+    if (!network)
+        throw new TypeError(`Network passphrase argument is required.`)
+    if (!operation)
+        throw new TypeError(`Operation argument is required.`)
+    let changes = meta || []
+    if (typeof meta?.changes === 'function') { //OperationMeta XDR
+        changes = meta.changes()
+        if (events === undefined && typeof meta.events === 'function') {
+            events = meta.events() //OperationMetaV2 (protocol 23+)
+        }
+    }
+    if (typeof result?.tr === 'function') { //OperationResult XDR
+        result = parseRawOpResult(result, priceFormat)
+    }
+    const analyzer = new EffectsAnalyzer({
+        network,
+        operation,
+        meta: changes,
+        result,
+        events,
+        diagnosticEvents,
+        mapSac,
+        processSystemEvents,
+        processFailedOpEffects,
+        processMetrics,
+        priceFormat,
+        strict
+    })
+    const effects = analyzer.analyze()
+    if (onWarning) {
+        for (const warning of analyzer.warnings) {
+            onWarning(warning)
+        }
+    }
+    return effects
+}
+
 /**
  * Generates fee charged effect
  * @param {{}} tx - Transaction
- * @param {String} source - Source account
+ * @param {String} source - Fee source account (muxed address is stored in "muxed" field)
  * @param {String} chargedAmount - Charged amount
  * @param {Boolean} [feeBump] - Is fee bump transaction
  * @returns {{}} - Fee charged effect
@@ -1055,13 +1385,13 @@ function processFeeChargedEffect(tx, source, chargedAmount, feeBump = false) {
     if (tx._switch) { //raw XDR
         const txXdr = tx.value().tx()
         tx = {
-            source: xdrParseAccountAddress((txXdr.feeSource ? txXdr.feeSource : txXdr.sourceAccount).call(txXdr)),
+            source: xdrParseAccountAddress((txXdr.feeSource ? txXdr.feeSource : txXdr.sourceAccount).call(txXdr), true),
             fee: txXdr.fee().toString()
         }
     }
     const res = {
         type: effectTypes.feeCharged,
-        source,
+        source: normalizeAddress(source),
         asset: 'XLM',
         bid: tx.fee,
         charged: chargedAmount
@@ -1069,19 +1399,57 @@ function processFeeChargedEffect(tx, source, chargedAmount, feeBump = false) {
     if (feeBump) {
         res.bump = true
     }
+    attachMuxedAddress(res, source)
     return res
 }
 
+/**
+ * Generates operation failed effect
+ * @param {BaseOperation} operation - Failed operation
+ * @param {String} resultCode - Operation result code name
+ * @returns {{}} - Operation failed effect
+ */
+function processOperationFailedEffect(operation, resultCode) {
+    return {
+        type: effectTypes.operationFailed,
+        source: operation.source,
+        code: resultCode
+    }
+}
+
 function normalizeAddress(address) {
     const prefix = address[0]
     if (prefix === 'G')
         return address
     if (prefix !== 'M')
-        throw new TypeError('Expected ED25519 or Muxed address')
+        throw new TxMetaEffectParserError('Expected ED25519 or Muxed address', {code: errorCodes.unsupportedXdrValue})
     const rawBytes = StrKey.decodeMed25519PublicKey(address)
     return StrKey.encodeEd25519PublicKey(rawBytes.subarray(0, 32))
 }
 
+/**
+ * Set "muxed" and "muxedId" effect fields for muxed addresses
+ * @param {{}} effect - Effect to update
+ * @param {String} address - Account address
+ */
+function attachMuxedAddress(effect, address) {
+    const muxedId = parseMuxedId(address)
+    if (muxedId === undefined)
+        return
+    effect.muxed = address
+    effect.muxedId = muxedId
+}
+
+/**
+ * Retrieve multiplexed account id from the muxed address
+ * @param {String} address - Account address
+ * @return {String|undefined} - Muxed id or undefined for regular account addresses
+ */
+function parseMuxedId(address) {
+    if (address[0] !== 'M')
+        return undefined
+    return StrKey.decodeMed25519PublicKey(address).readBigUInt64BE(32).toString()
+}
 
 /**
  * @param {String} action
@@ -1108,10 +1476,48 @@ function encodeSponsorshipEffectName(action, type) {
 
 function validateAmount(amount) {
     if (amount < 0)
-        throw new TxMetaEffectParserError('Negative balance change amount: ' + amount.toString())
+        throw new TxMetaEffectParserError('Negative balance change amount: ' + amount.toString(), {code: errorCodes.invalidBalanceChange})
     return amount
 }
 
+/**
+ * Add decoded flag names to the effect, as well as lists of set and cleared flags if previous flags are present
+ * @param {{flags: Number, prevFlags: (Number|undefined)}} effect - Effect with entry flags
+ * @param {'account'|'trustline'|'offer'|'claimableBalance'} entryType - Ledger entry type
+ * @return {{}}
+ */
+function describeFlags(effect, entryType) {
+    effect.flagNames = decodeFlags(entryType, effect.flags)
+    if (effect.prevFlags !== undefined) {
+        const {set, cleared} = diffFlags(entryType, effect.flags, effect.prevFlags)
+        effect.flagsSet = set
+        effect.flagsCleared = cleared
+    }
+    return effect
+}
+
+/**
+ * @param {{}} effect - Claimable balance effect
+ * @param {Number} [flags] - Claimable balance flags (not set for balances created before protocol 17)
+ * @return {{}}
+ */
+function describeClaimableBalanceFlags(effect, flags) {
+    if (flags === undefined)
+        return effect
+    effect.flags = flags
+    return describeFlags(effect, 'claimableBalance')
+}
+
+/**
+ * Compare exact rational prices by value
+ * @param {{n: String, d: String}} a - Previous price
+ * @param {{n: String, d: String}} b - Current price
+ * @return {Boolean}
+ */
+function isSamePrice(a, b) {
+    return BigInt(a.n) * BigInt(b.d) === BigInt(b.n) * BigInt(a.d)
+}
+
 /**
  * @param largeInt
  * @return {String}
@@ -1120,4 +1526,4 @@ function parseLargeInt(largeInt) {
     return largeInt._value.toString()
 }
 
-module.exports = {EffectsAnalyzer, processFeeChargedEffect}
+module.exports = {EffectsAnalyzer, analyzeOperationEffects, processFeeChargedEffect, processOperationFailedEffect}
@@ -1,13 +1,148 @@
+/**
+ * Machine-readable error codes
+ * @readonly
+ */
+const errorCodes = {
+    invalidXdr: 'invalidXdr',
+    unsupportedVersion: 'unsupportedVersion',
+    unsupportedTransaction: 'unsupportedTransaction',
+    transactionNotFound: 'transactionNotFound',
+    unexpectedMetaChange: 'unexpectedMetaChange',
+    unsupportedLedgerEntry: 'unsupportedLedgerEntry',
+    unsupportedResult: 'unsupportedResult',
+    unsupportedXdrValue: 'unsupportedXdrValue',
+    unsupportedHostFunction: 'unsupportedHostFunction',
+    missingOperationSource: 'missingOperationSource',
+    invalidBalanceChange: 'invalidBalanceChange',
+    invalidEffect: 'invalidEffect',
+    unexpectedError: 'unexpectedError'
+}
+
+/**
+ * @typedef {{}} TxMetaEffectParserErrorDetails
+ * @property {String} [code] - Machine-readable error code
+ * @property {Number} [operationIndex] - Index of the operation that caused the error
+ * @property {String} [entryType] - Ledger entry type
+ * @property {String} [action] - Ledger entry change action
+ * @property {String} [txHash] - Transaction hash
+ * @property {String[]} [validationErrors] - Effect schema validation errors
+ * @property {Error} [cause] - Original error
+ */
+
 class TxMetaEffectParserError extends Error {
-    constructor(message) {
-        super('Transaction metadata processing error. ' + message)
+    /**
+     * @param {String} message - Error description
+     * @param {TxMetaEffectParserErrorDetails} [details] - Error code and processing context
+     */
+    constructor(message, {code = errorCodes.unexpectedError, cause, ...context} = {}) {
+        super('Transaction metadata processing error. ' + message, cause ? {cause} : undefined)
+        this.name = this.constructor.name
+        this.code = code
+        attachContext(this, context)
     }
+
+    /**
+     * @type {String}
+     * @readonly
+     */
+    code
+    /**
+     * @type {Number}
+     * @readonly
+     */
+    operationIndex
+    /**
+     * @type {String}
+     * @readonly
+     */
+    entryType
+    /**
+     * @type {String}
+     * @readonly
+     */
+    action
+    /**
+     * @type {String}
+     * @readonly
+     */
+    txHash
+    /**
+     * @type {String[]}
+     * @readonly
+     */
+    validationErrors
 }
 
 class UnexpectedTxMetaChangeError extends TxMetaEffectParserError {
-    constructor({type, action}) {
-        super(`Unexpected meta changes: "${type}" "${action}"`)
+    /**
+     * @param {String} type - Ledger entry type
+     * @param {String} action - Ledger entry change action
+     * @param {String} [txHash] - Transaction hash
+     * @param {Number} [operationIndex] - Index of the operation that caused the error
+     */
+    constructor({type, action, txHash, operationIndex}) {
+        super(`Unexpected meta changes: "${type}" "${action}"`, {
+            code: errorCodes.unexpectedMetaChange,
+            entryType: type,
+            action,
+            txHash,
+            operationIndex
+        })
+    }
+}
+
+/**
+ * Attach processing context to the error, wrapping errors of other types into TxMetaEffectParserError
+ * @param {Error} e - Original error
+ * @param {TxMetaEffectParserErrorDetails} context - Context to attach (does not overwrite already defined properties)
+ * @return {TxMetaEffectParserError}
+ */
+function withErrorContext(e, context) {
+    if (!(e instanceof TxMetaEffectParserError)) {
+        e = new TxMetaEffectParserError(e.message, {code: errorCodes.unexpectedError, cause: e})
+    }
+    return attachContext(e, context)
+}
+
+/**
+ * @typedef {{}} ProcessingWarning
+ * @property {'operation'|'ledgerEntryChange'|'event'|'diagnosticEvent'|'assetSupply'} skipped - Kind of the item skipped during processing
+ * @property {String} code - Machine-readable error code
+ * @property {String} message - Error description
+ * @property {String} [entryType] - Ledger entry type
+ * @property {String} [action] - Ledger entry change action
+ */
+
+/**
+ * Convert processing error to a warning descriptor (used in non-strict mode)
+ * @param {Error} e - Processing error
+ * @param {String} skipped - Kind of the skipped item
+ * @param {TxMetaEffectParserErrorDetails} [context] - Processing context
+ * @return {ProcessingWarning}
+ */
+function createProcessingWarning(e, skipped, context = {}) {
+    e = withErrorContext(e, context)
+    const warning = {
+        skipped,
+        code: e.code,
+        message: e.message
+    }
+    if (e.entryType) {
+        warning.entryType = e.entryType
+    }
+    if (e.action) {
+        warning.action = e.action
+    }
+    return warning
+}
+
+function attachContext(error, context) {
+    for (const [key, value] of Object.entries(context)) {
+        if (value !== undefined && error[key] === undefined) {
+            error[key] = value
+        }
     }
+    return error
 }
 
-module.exports = {UnexpectedTxMetaChangeError, TxMetaEffectParserError}
\ No newline at end of file
+module.exports = {UnexpectedTxMetaChangeError, TxMetaEffectParserError, errorCodes, withErrorContext, createProcessingWarning}
@@ -0,0 +1,52 @@
+/**
+ * Ledger entry flag bitmasks by entry type
+ * @readonly
+ */
+const flagDefinitions = {
+    account: {
+        authRequired: 1,
+        authRevocable: 2,
+        authImmutable: 4,
+        clawbackEnabled: 8
+    },
+    trustline: {
+        authorized: 1,
+        authorizedToMaintainLiabilities: 2,
+        clawbackEnabled: 4
+    },
+    offer: {
+        passive: 1
+    },
+    claimableBalance: {
+        clawbackEnabled: 1
+    }
+}
+
+/**
+ * Decode flags bitmask into the list of flag names
+ * @param {'account'|'trustline'|'offer'|'claimableBalance'} entryType - Ledger entry type
+ * @param {Number} flags - Flags bitmask
+ * @return {String[]}
+ */
+function decodeFlags(entryType, flags) {
+    const definitions = flagDefinitions[entryType]
+    if (!definitions)
+        throw new TypeError(`Unsupported flags entry type: ${entryType}`)
+    return Object.keys(definitions).filter(name => flags & definitions[name])
+}
+
+/**
+ * Find flags set and cleared by the ledger entry update
+ * @param {'account'|'trustline'|'offer'|'claimableBalance'} entryType - Ledger entry type
+ * @param {Number} flags - Current flags bitmask
+ * @param {Number} prevFlags - Previous flags bitmask
+ * @return {{set: String[], cleared: String[]}}
+ */
+function diffFlags(entryType, flags, prevFlags) {
+    return {
+        set: decodeFlags(entryType, flags & ~prevFlags),
+        cleared: decodeFlags(entryType, prevFlags & ~flags)
+    }
+}
+
+module.exports = {flagDefinitions, decodeFlags, diffFlags}
@@ -1,14 +1,27 @@
 const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
-const {TxMetaEffectParserError, UnexpectedTxMetaChangeError} = require('./errors')
-const {processFeeChargedEffect, analyzeOperationEffects, EffectsAnalyzer} = require('./effects-analyzer')
+const {TxMetaEffectParserError, UnexpectedTxMetaChangeError, errorCodes, withErrorContext, createProcessingWarning} = require('./errors')
+const {processFeeChargedEffect, processOperationFailedEffect, analyzeOperationEffects, EffectsAnalyzer} = require('./effects-analyzer')
 const {disposeSacCache} = require('./aggregation/sac-contract-mapper')
 const {parseTxResult} = require('./parser/tx-result-parser')
 const {parseLedgerEntryChanges} = require('./parser/ledger-entry-changes-parser')
 const {parseTxMetaChanges} = require('./parser/tx-meta-changes-parser')
+const {parseLedgerCloseMetaContents} = require('./parser/ledger-close-meta-parser')
+const {parseSimulationResult, parseSimulatedAuth, parseSimulatedFootprint} = require('./parser/simulation-result-parser')
+const {parseTxPreconditions, parseTxMemo} = require('./parser/tx-envelope-parser')
+const {validateEffect, validateParsedTx} = require('./schema/effect-validator')
+const {effectSchemas} = require('./schema/effect-schemas')
+const {encodeEffectId, decodeEffectId, assignEffectIds} = require('./effect-id')
+const {reconcileBalances} = require('./aggregation/balance-reconciler')
+const {evaluateClaimPredicate} = require('./claim-predicate')
+const {flagDefinitions, decodeFlags, diffFlags} = require('./flags')
 const {analyzeSignerChanges} = require('./aggregation/signer-changes-analyzer')
+const {analyzeSignatures} = require('./aggregation/signature-analyzer')
+const {parseContractEvent} = require('./aggregation/events-analyzer')
 const contractPreimageEncoder = require('./parser/contract-preimage-encoder')
 const xdrParserUtils = require('./parser/tx-xdr-parser-utils')
+const {ensureXdrInputType} = xdrParserUtils
 const effectTypes = require('./effect-types')
+const {toHorizonEffects, convertToHorizonEffects, horizonEffectTypes} = require('./adapters/horizon-effects-adapter')
 
 /**
  * Retrieve effects from transaction execution result metadata
@@ -21,23 +34,48 @@ const effectTypes = require('./effect-types')
  * @param {Boolean} [processFailedOpEffects] - Whether to generate operation effects for failed/rejected transactions
  * @param {Boolean} [processMetrics] - Process invocation metrics emitted by Soroban
  * @param {Number} [protocol] - Specific Stellar protocol version for the executed transaction
+ * @param {Boolean} [strict] - Throw an error on unexpected ledger entry changes and events (if false, offending entries are skipped and reported as warnings)
+ * @param {SimulationResult} [simulation] - Soroban transaction simulation result used to predict effects of unsubmitted transactions
+ * @param {Boolean} [validate] - Validate generated effects against effect schemas (throws an error on validation failure)
+ * @param {Number} [ledgerSequence] - Sequence of the ledger that included the transaction (required to generate effect ids)
+ * @param {Number} [applicationOrder] - 1-based transaction application order within the ledger (required to generate effect ids)
+ * @param {Boolean} [includeLedgerChanges] - Return parsed ledger entry changes of the transaction and every operation ("changes" property)
+ * @param {PriceFormat} [priceFormat] - Format of offer and trade prices: "number" (default), "rational", or "decimal"
  * @return {ParsedTxOperationsMetadata}
  */
-function parseTxOperationsMeta({
-                                   network,
-                                   tx,
-                                   result,
-                                   meta,
-                                   mapSac = false,
-                                   processSystemEvents = false,
-                                   processFailedOpEffects = false,
-                                   processMetrics,
-                                   protocol
-                               }) {
-    if (!network)
-        throw new TypeError(`Network passphrase argument is required.`)
-    if (typeof network !== 'string')
-        throw new TypeError(`Invalid network passphrase: "${network}".`)
+function parseTxOperationsMeta(params) {
+    const res = processTxOperationsMeta(params)
+    const {ledgerSequence, applicationOrder} = params
+    if (ledgerSequence !== undefined && applicationOrder !== undefined && !res.isEphemeral) {
+        assignEffectIds(res, ledgerSequence, applicationOrder)
+    }
+    if (params.validate) {
+        ensureValidEffects(res)
+    }
+    return res
+}
+
+/**
+ * @param {{}} params - parseTxOperationsMeta params
+ * @return {ParsedTxOperationsMetadata}
+ * @internal
+ */
+function processTxOperationsMeta({
+    network,
+    tx,
+    result,
+    meta,
+    mapSac = false,
+    processSystemEvents = false,
+    processFailedOpEffects = false,
+    processMetrics,
+    protocol,
+    strict = true,
+    simulation,
+    includeLedgerChanges = false,
+    priceFormat = 'number'
+}) {
+    validateNetworkPassphrase(network)
     if (!tx)
         throw new TypeError(`Transaction envelope argument is required.`)
     if (processMetrics !== false)
@@ -47,7 +85,7 @@ function parseTxOperationsMeta({
     try {
         tx = ensureXdrInputType(tx, xdr.TransactionEnvelope)
     } catch (e) {
-        throw new TxMetaEffectParserError('Invalid transaction envelope XDR. ' + e.message)
+        throw new TxMetaEffectParserError('Invalid transaction envelope XDR. ' + e.message, {code: errorCodes.invalidXdr, cause: e})
     }
     if (!isEphemeral) {
         try {
@@ -57,11 +95,12 @@ function parseTxOperationsMeta({
                 const pair = ensureXdrInputType(result, xdr.TransactionResultPair)
                 result = pair.result()
             } catch {
-                throw new TxMetaEffectParserError('Invalid transaction result XDR. ' + e.message)
+                throw new TxMetaEffectParserError('Invalid transaction result XDR. ' + e.message, {code: errorCodes.invalidXdr, cause: e})
             }
         }
     }
     tx = TransactionBuilder.fromXDR(tx, network)
+    const getTxHash = () => tx.hash().toString('hex')
 
     let parsedTx = tx
     let parsedResult = result
@@ -78,13 +117,27 @@ function parseTxOperationsMeta({
     if (isFeeBump) {
         parsedTx = parsedTx.innerTransaction
         if (parsedTx.innerTransaction)
-            throw new TxMetaEffectParserError('Failed to process FeeBumpTransaction wrapped with another FeeBumpTransaction')
+            throw new TxMetaEffectParserError('Failed to process FeeBumpTransaction wrapped with another FeeBumpTransaction', {
+                code: errorCodes.unsupportedTransaction,
+                txHash: getTxHash()
+            })
         if (!isEphemeral) {
             parsedResult = result.result().innerResultPair().result()
             feeBumpSuccess = parsedResult.result().switch().value >= 0
         }
     }
 
+    //normalize preconditions and memo
+    try {
+        res.preconditions = parseTxPreconditions(parsedTx)
+        const memo = parseTxMemo(parsedTx)
+        if (memo) {
+            res.memo = memo
+        }
+    } catch (e) {
+        throw withErrorContext(e, {txHash: getTxHash()})
+    }
+
     //normalize operation source and effects container
     if (parsedTx.operations) {
         res.operations = parsedTx.operations
@@ -99,32 +152,76 @@ function parseTxOperationsMeta({
 
     res.effects = []
 
-    if (isEphemeral)
+    if (isEphemeral) {
+        if (simulation) {
+            processSimulatedEffects(res, parsedTx, simulation, {network, mapSac, processSystemEvents, processFailedOpEffects, processMetrics, priceFormat, strict})
+        }
         return res //do not parse meta for unsubmitted/rejected transactions
+    }
 
     //process fee charge
     const feeEffect = processFeeChargedEffect(tx, tx.feeSource || parsedTx.source, result.feeCharged().toString(), isFeeBump)
     res.effects.push(feeEffect)
 
     //check execution result
-    const {success, opResults} = parseTxResult(parsedResult)
+    let success
+    let opResults
+    try {
+        let resultCode
+        ({success, resultCode, opResults} = parseTxResult(parsedResult, priceFormat))
+        res.resultCode = resultCode
+    } catch (e) {
+        throw withErrorContext(e, {txHash: getTxHash()})
+    }
+    for (let i = 0; i < opResults.length; i++) {
+        parsedTx.operations[i].resultCode = opResults[i].resultType
+    }
     if (!success || isFeeBump && !feeBumpSuccess) {
         res.failed = true
-        if (!processFailedOpEffects)
+        if (!processFailedOpEffects) {
+            //report failure reasons without processing operation effects
+            for (let i = 0; i < opResults.length; i++) {
+                if (opResults[i].failed) {
+                    parsedTx.operations[i].effects.push(processOperationFailedEffect(parsedTx.operations[i], opResults[i].resultType))
+                }
+            }
             return res
+        }
     }
 
     //retrieve operations result metadata
     try {
         meta = ensureXdrInputType(meta, xdr.TransactionMeta)
     } catch (e) {
-        throw new TxMetaEffectParserError('Invalid transaction metadata XDR. ' + e.message)
+        throw new TxMetaEffectParserError('Invalid transaction metadata XDR. ' + e.message, {
+            code: errorCodes.invalidXdr,
+            txHash: getTxHash(),
+            cause: e
+        })
     }
 
+    //collect tx-level warnings in non-strict mode
+    const txWarnings = []
+    const onError = strict ? undefined : (e, skipped = 'ledgerEntryChange') => txWarnings.push(createProcessingWarning(e, skipped))
+
     //add tx-level effects
-    for (const {before, after} of parseTxMetaChanges(meta)) {
-        if (before.entry !== 'account')
-            throw new UnexpectedTxMetaChangeError({type: before.entry, action: 'update'})
+    let txMetaChanges
+    try {
+        txMetaChanges = parseTxMetaChanges(meta, onError)
+    } catch (e) {
+        throw withErrorContext(e, {txHash: getTxHash()})
+    }
+    if (includeLedgerChanges) {
+        res.changes = txMetaChanges
+    }
+    for (const {before, after} of txMetaChanges) {
+        if (before.entry !== 'account') {
+            const e = new UnexpectedTxMetaChangeError({type: before.entry, action: 'update', txHash: getTxHash()})
+            if (!onError)
+                throw e
+            onError(e)
+            continue
+        }
         for (const effect of analyzeSignerChanges(before, after)) {
             effect.source = (before || after).address
             res.effects.push(effect)
@@ -132,13 +229,33 @@ function parseTxOperationsMeta({
         if (isFeeBump && protocol === 20 && before.balance !== after.balance) { //bump fee calculation bug in protocol v20
             const currentFee = BigInt(feeEffect.charged)
             const diff = BigInt(after.balance) - BigInt(before.balance)
-            if (diff < currentFee) { // do not allow negative fee
+            if (diff < currentFee) { //do not allow negative fee
                 feeEffect.charged = (currentFee - diff).toString()
             }
         }
     }
     const metaValue = meta.value()
     const opMeta = metaValue.operations()
+    //starting from protocol 23, events are attached to operations, while diagnostic events are stored on the tx level
+    const isMetaV4 = meta.arm() === 'v4'
+    if (isMetaV4) {
+        for (const txEvent of metaValue.events()) {
+            let effect
+            try {
+                effect = parseContractEvent(txEvent.event())
+            } catch (e) {
+                if (!onError)
+                    throw withErrorContext(e, {txHash: getTxHash()})
+                onError(e, 'event')
+                continue
+            }
+            if (!effect)
+                continue
+            effect.source = feeEffect.source
+            effect.stage = parseTxEventStage(txEvent.stage())
+            res.effects.push(effect)
+        }
+    }
 
     //analyze operation effects for each operation
     for (let i = 0; i < parsedTx.operations.length; i++) {
@@ -148,74 +265,291 @@ function parseTxOperationsMeta({
                 network,
                 operation,
                 meta: opMeta[i]?.changes() || [],
-                result: opResults[i],
+                result: res.failed && !opResults[i]?.failed ? undefined : opResults[i], //changes of failed transactions are rolled back
                 processFailedOpEffects,
-                processMetrics
+                processMetrics,
+                priceFormat,
+                strict
+            }
+            if (isMetaV4) {
+                params.events = opMeta[i]?.events() //classic operations may emit events as well
             }
             const isSorobanInvocation = operation.type === 'invokeHostFunction'
             //only for Soroban contract invocation
             if (isSorobanInvocation) {
-                const sorobanMeta = metaValue._attributes.sorobanMeta
-                if (sorobanMeta) {
-                    params.events = sorobanMeta.events()
-                    params.diagnosticEvents = sorobanMeta.diagnosticEvents()
+                if (isMetaV4) {
+                    params.diagnosticEvents = metaValue.diagnosticEvents()
                     params.processSystemEvents = processSystemEvents
+                } else {
+                    const sorobanMeta = metaValue._attributes.sorobanMeta
+                    if (sorobanMeta) {
+                        params.events = sorobanMeta.events()
+                        params.diagnosticEvents = sorobanMeta.diagnosticEvents()
+                        params.processSystemEvents = processSystemEvents
+                    }
                 }
                 params.mapSac = mapSac
             }
-            const analyzer = new EffectsAnalyzer(params)
-            operation.effects = analyzer.analyze()
-            if (analyzer.sacMap && !isEmptyObject(analyzer.sacMap)) {
-                operation.sacMap = analyzer.sacMap
-            }
-            if (isSorobanInvocation) {
-                analyzer.addFeeMetric(metaValue)
+            try {
+                const analyzer = new EffectsAnalyzer(params)
+                operation.effects = analyzer.analyze()
+                if (analyzer.sacMap && !isEmptyObject(analyzer.sacMap)) {
+                    operation.sacMap = analyzer.sacMap
+                }
+                if (isSorobanInvocation) {
+                    analyzer.addFeeMetric(metaValue)
+                }
+                if (analyzer.warnings.length) {
+                    operation.warnings = analyzer.warnings
+                }
+                if (includeLedgerChanges) {
+                    operation.changes = analyzer.changes
+                }
+            } catch (e) {
+                throw withErrorContext(e, {operationIndex: i, txHash: getTxHash()})
             }
         }
     }
+    if (txWarnings.length) {
+        res.warnings = txWarnings
+    }
     return res
 }
 
 /**
- * Convert base64/raw XDR representation to XDR type
- * @param {String|Buffer|Uint8Array|xdrType} value
- * @param xdrType
- * @return {xdrType|*}
+ * Check that all effects of the parsed transaction conform to effect schemas
+ * @param {ParsedTxOperationsMetadata} parsedTx
  * @internal
  */
-function ensureXdrInputType(value, xdrType) {
-    if (value?.toXDR) // duck-typing check XDR types
-        return value
+function ensureValidEffects(parsedTx) {
+    const validationErrors = validateParsedTx(parsedTx)
+    if (validationErrors.length)
+        throw new TxMetaEffectParserError('Generated effects do not match effect schemas. ' + validationErrors.join('; '), {
+            code: errorCodes.invalidEffect,
+            txHash: parsedTx.tx.hash().toString('hex'),
+            validationErrors
+        })
+}
 
-    if (!value || (typeof value !== 'string' && !(value instanceof Uint8Array)))
-        throw new TypeError(`Invalid input format. Expected xdr.${xdrType.name} (raw, buffer, or bas64-encoded).`)
-    return xdrType.fromXDR(value, typeof value === 'string' ? 'base64' : 'raw')
+/**
+ * Predict effects of the Soroban contract invocation from the simulation result
+ * @param {ParsedTxOperationsMetadata} res - Parsed transaction
+ * @param {Transaction} parsedTx - Transaction (inner transaction for fee bump transactions)
+ * @param {SimulationResult} simulation - Simulation result
+ * @param {{}} options - Effects analyzer options
+ * @internal
+ */
+function processSimulatedEffects(res, parsedTx, simulation, options) {
+    const [operation] = parsedTx.operations
+    if (parsedTx.operations.length !== 1 || operation.type !== 'invokeHostFunction')
+        throw new TxMetaEffectParserError('Simulation results are supported only for transactions with a single invokeHostFunction operation', {
+            code: errorCodes.unsupportedTransaction,
+            txHash: res.tx.hash().toString('hex')
+        })
+    const {events, diagnosticEvents, returnValue, auth, transactionData, error} = parseSimulationResult(simulation)
+    res.simulated = true
+    res.simulation = {auth: parseSimulatedAuth(auth, operation.source || parsedTx.source)}
+    if (transactionData) {
+        res.simulation.footprint = parseSimulatedFootprint(transactionData)
+    }
+    if (error) {
+        res.failed = true
+        if (!options.processFailedOpEffects)
+            return
+    }
+    try {
+        const analyzer = new EffectsAnalyzer({
+            ...options,
+            operation,
+            meta: [], //ledger entry changes are not available in simulation results
+            events,
+            diagnosticEvents: diagnosticEvents.length ? diagnosticEvents : undefined
+        })
+        operation.effects = analyzer.analyze()
+        if (analyzer.sacMap && !isEmptyObject(analyzer.sacMap)) {
+            operation.sacMap = analyzer.sacMap
+        }
+        if (analyzer.warnings.length) {
+            operation.warnings = analyzer.warnings
+        }
+    } catch (e) {
+        throw withErrorContext(e, {operationIndex: 0, txHash: res.tx.hash().toString('hex')})
+    }
+    //attach return value to the top-level invocation if it wasn't retrieved from diagnostic events
+    if (returnValue && returnValue.switch().name !== 'scvVoid') {
+        const invocation = operation.effects.find(e => e.type === effectTypes.contractInvoked && !e.depth)
+        if (invocation && !invocation.result) {
+            invocation.result = returnValue.toXDR('base64')
+        }
+    }
+    for (const effect of operation.effects) {
+        effect.simulated = true
+    }
+}
+
+/**
+ * Retrieve effects for every transaction applied in a ledger
+ * @param {String} network - Network passphrase
+ * @param {String|Buffer|xdr.LedgerCloseMeta} ledgerCloseMeta - Base64-encoded LedgerCloseMeta xdr (v0, v1, or v2)
+ * @param {Boolean} [mapSac] - Whether to create a map SAC->Asset
+ * @param {Boolean} [processSystemEvents] - Emit effects for contract errors and resource stats
+ * @param {Boolean} [processFailedOpEffects] - Whether to generate operation effects for failed/rejected transactions
+ * @param {Boolean} [processMetrics] - Process invocation metrics emitted by Soroban
+ * @param {Boolean} [strict] - Throw an error on unexpected ledger entry changes and events (if false, offending entries are skipped and reported as warnings)
+ * @param {Boolean} [validate] - Validate generated effects against effect schemas (throws an error on validation failure)
+ * @param {Boolean} [includeLedgerChanges] - Return parsed ledger entry changes of every transaction and operation ("changes" property)
+ * @param {PriceFormat} [priceFormat] - Format of offer and trade prices: "number" (default), "rational", or "decimal"
+ * @return {ParsedLedgerCloseMeta}
+ */
+function parseLedgerCloseMeta({
+    network,
+    ledgerCloseMeta,
+    mapSac = false,
+    processSystemEvents = false,
+    processFailedOpEffects = false,
+    processMetrics,
+    strict = true,
+    validate = false,
+    includeLedgerChanges = false,
+    priceFormat = 'number'
+}) {
+    validateNetworkPassphrase(network)
+    if (!ledgerCloseMeta)
+        throw new TypeError(`Ledger close metadata argument is required.`)
+    try {
+        ledgerCloseMeta = ensureXdrInputType(ledgerCloseMeta, xdr.LedgerCloseMeta)
+    } catch (e) {
+        throw new TxMetaEffectParserError('Invalid ledger close metadata XDR. ' + e.message, {code: errorCodes.invalidXdr, cause: e})
+    }
+    const {sequence, closeTime, protocol, transactions} = parseLedgerCloseMetaContents(ledgerCloseMeta, network)
+    return {
+        sequence,
+        closeTime,
+        protocol,
+        transactions: transactions.map(({hash, applicationOrder, tx, result, meta, feeProcessing}) => {
+            const parsed = parseTxOperationsMeta({
+                network,
+                tx,
+                result,
+                meta,
+                mapSac,
+                processSystemEvents,
+                processFailedOpEffects,
+                processMetrics,
+                protocol,
+                strict,
+                validate,
+                includeLedgerChanges,
+                priceFormat,
+                ledgerSequence: sequence,
+                applicationOrder
+            })
+            parsed.hash = hash
+            parsed.applicationOrder = applicationOrder
+            if (includeLedgerChanges) {
+                const onError = strict ? undefined : e => (parsed.warnings ||= []).push(createProcessingWarning(e, 'ledgerEntryChange'))
+                try {
+                    parsed.feeChanges = parseLedgerEntryChanges(feeProcessing, onError)
+                } catch (e) {
+                    throw withErrorContext(e, {txHash: hash})
+                }
+            }
+            return parsed
+        })
+    }
+}
+
+/**
+ * @param {String} network - Network passphrase
+ * @internal
+ */
+function validateNetworkPassphrase(network) {
+    if (!network)
+        throw new TypeError(`Network passphrase argument is required.`)
+    if (typeof network !== 'string')
+        throw new TypeError(`Invalid network passphrase: "${network}".`)
+}
+
+/**
+ * @param {xdr.TransactionEventStage} stage
+ * @return {String}
+ */
+function parseTxEventStage(stage) {
+    switch (stage.name) {
+        case 'transactionEventStageBeforeAllTxes':
+            return 'beforeAllTxes'
+        case 'transactionEventStageAfterTx':
+            return 'afterTx'
+        case 'transactionEventStageAfterAllTxes':
+            return 'afterAllTxes'
+        default:
+            throw new TxMetaEffectParserError('Unknown transaction event stage: ' + stage.name, {code: errorCodes.unsupportedXdrValue})
+    }
 }
 
 function isEmptyObject(obj) {
     for (const key in obj)
-        return false
+        if (Object.prototype.hasOwnProperty.call(obj, key))
+            return false
     return true
 }
 
 /**
  * @typedef {{}} ParsedTxOperationsMetadata
  * @property {Transaction|FeeBumpTransaction} tx - Parsed transaction object
- * @property {BaseOperation[]} operations - Transaction operations
+ * @property {BaseOperation[]} operations - Transaction operations (with operation result code names in the "resultCode" property, skipped changes and events listed in the "warnings" property in non-strict mode, and parsed ledger entry changes in the "changes" property if requested)
  * @property {Boolean} isEphemeral - True for transactions without result metadata
+ * @property {ParsedTxPreconditions} preconditions - Normalized transaction preconditions (inner transaction preconditions for fee bump transactions)
+ * @property {ParsedTxMemo} [memo] - Decoded transaction memo (inner transaction memo for fee bump transactions)
+ * @property {Boolean} [simulated] - True for ephemeral transactions with effects predicted from the simulation result
+ * @property {{auth: SimulatedAuthRequirement[], footprint?: SimulatedFootprint}} [simulation] - Authorization requirements and ledger footprint of the simulated invocation
  * @property {Boolean} [failed] - True for transactions failed during on-chain execution
- * @property {{}[]} [effects] - Top-level transaction effects (fee charges and )
+ * @property {String} [resultCode] - Transaction result code name, e.g. "txSuccess", "txFailed", or "txTooLate" (inner transaction result code for fee bump transactions, not set for ephemeral transactions)
+ * @property {{}[]} [effects] - Top-level transaction effects (fee charges, tx-level signer changes, and tx-level events)
  * @property {Object<String,String>} [sacMap] - Optional map of SAC->Asset
+ * @property {ProcessingWarning[]} [warnings] - Skipped tx-level changes and events (only in non-strict mode)
+ * @property {ParsedLedgerEntryMeta[]} [changes] - Tx-level ledger entry changes (only if includeLedgerChanges option is set)
+ * @property {ParsedLedgerEntryMeta[]} [feeChanges] - Fee charge and refund ledger entry changes (only for transactions parsed from LedgerCloseMeta with includeLedgerChanges option)
+ * @property {String} [hash] - Transaction hash (only for transactions parsed from LedgerCloseMeta)
+ * @property {Number} [applicationOrder] - 1-based transaction application order (only for transactions parsed from LedgerCloseMeta)
+ */
+
+/**
+ * @typedef {{}} ParsedLedgerCloseMeta
+ * @property {Number} sequence - Ledger sequence
+ * @property {Number} closeTime - Ledger close timestamp (UNIX seconds)
+ * @property {Number} protocol - Protocol version of the ledger
+ * @property {ParsedTxOperationsMetadata[]} transactions - Parsed ledger transactions in application order
  */
 
 module.exports = {
     parseTxOperationsMeta,
+    parseLedgerCloseMeta,
     parseTxResult,
+    parseTxPreconditions,
+    parseTxMemo,
     analyzeOperationEffects,
     parseLedgerEntryChanges,
     parseTxMetaChanges,
     effectTypes,
     xdrParserUtils,
     contractPreimageEncoder,
-    disposeSacCache
+    disposeSacCache,
+    toHorizonEffects,
+    convertToHorizonEffects,
+    horizonEffectTypes,
+    effectSchemas,
+    validateEffect,
+    validateParsedTx,
+    encodeEffectId,
+    decodeEffectId,
+    reconcileBalances,
+    analyzeSignatures,
+    evaluateClaimPredicate,
+    flagDefinitions,
+    decodeFlags,
+    diffFlags,
+    errorCodes,
+    TxMetaEffectParserError,
+    UnexpectedTxMetaChangeError
 }
\ No newline at end of file
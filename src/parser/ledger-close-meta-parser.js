@@ -0,0 +1,110 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
+
+/**
+ * @typedef {{}} LedgerCloseMetaTransaction
+ * @property {String} hash - Transaction hash (hex-encoded)
+ * @property {Number} applicationOrder - 1-based transaction application order within the ledger
+ * @property {xdr.TransactionEnvelope} tx - Transaction envelope from the ledger tx set
+ * @property {xdr.TransactionResult} result - Transaction execution result
+ * @property {xdr.TransactionMeta} meta - Transaction apply metadata
+ * @property {xdr.LedgerEntryChange[]} feeProcessing - Fee charge and refund ledger entry changes
+ */
+
+/**
+ * @typedef {{}} LedgerCloseMetaContents
+ * @property {Number} sequence - Ledger sequence
+ * @property {Number} closeTime - Ledger close timestamp (UNIX seconds)
+ * @property {Number} protocol - Protocol version of the ledger
+ * @property {LedgerCloseMetaTransaction[]} transactions - Ledger transactions in application order
+ */
+
+/**
+ * Retrieve ledger header details and transactions (in application order) from LedgerCloseMeta
+ * @param {xdr.LedgerCloseMeta} ledgerCloseMeta - Ledger close metadata (v0, v1, or v2)
+ * @param {String} network - Network passphrase
+ * @return {LedgerCloseMetaContents}
+ */
+function parseLedgerCloseMetaContents(ledgerCloseMeta, network) {
+    const version = ledgerCloseMeta.switch()
+    if (version > 2)
+        throw new TxMetaEffectParserError(`LedgerCloseMeta version ${version} is not supported.`, {code: errorCodes.unsupportedVersion})
+    const value = ledgerCloseMeta.value()
+    const header = value.ledgerHeader().header()
+    //index tx set envelopes by transaction hash
+    const envelopes = new Map()
+    for (const envelope of retrieveTxSetEnvelopes(value.txSet(), version)) {
+        const hash = TransactionBuilder.fromXDR(envelope, network).hash().toString('hex')
+        envelopes.set(hash, envelope)
+    }
+    //txProcessing entries are stored in the application order
+    const transactions = value.txProcessing().map((txResultMeta, i) => {
+        const resultPair = txResultMeta.result()
+        const hash = resultPair.transactionHash().toString('hex')
+        const tx = envelopes.get(hash)
+        if (!tx)
+            throw new TxMetaEffectParserError(`Transaction ${hash} not found in the ledger transaction set.`, {
+                code: errorCodes.transactionNotFound,
+                txHash: hash
+            })
+        return {
+            hash,
+            applicationOrder: i + 1,
+            tx,
+            result: resultPair.result(),
+            meta: txResultMeta.txApplyProcessing(),
+            feeProcessing: retrieveFeeProcessingChanges(txResultMeta)
+        }
+    })
+    return {
+        sequence: header.ledgerSeq(),
+        closeTime: parseInt(header.scpValue().closeTime().toString(), 10),
+        protocol: header.ledgerVersion(),
+        transactions
+    }
+}
+
+/**
+ * Retrieve fee charge changes along with post-apply fee refund changes (protocol 23+)
+ * @param {xdr.TransactionResultMeta|xdr.TransactionResultMetaV1} txResultMeta
+ * @return {xdr.LedgerEntryChange[]}
+ */
+function retrieveFeeProcessingChanges(txResultMeta) {
+    const changes = txResultMeta.feeProcessing()
+    if (txResultMeta instanceof xdr.TransactionResultMetaV1)
+        return [...changes, ...txResultMeta.postTxApplyFeeProcessing()]
+    return changes
+}
+
+/**
+ * Retrieve all transaction envelopes from the legacy or generalized transaction set
+ * @param {xdr.TransactionSet|xdr.GeneralizedTransactionSet} txSet - Ledger transaction set
+ * @param {Number} version - LedgerCloseMeta version
+ * @return {xdr.TransactionEnvelope[]}
+ */
+function retrieveTxSetEnvelopes(txSet, version) {
+    if (version === 0)
+        return txSet.txes()
+    const envelopes = []
+    for (const phase of txSet.v1TxSet().phases()) {
+        switch (phase.switch()) {
+            case 0:
+                for (const component of phase.v0Components()) {
+                    envelopes.push(...component.txsMaybeDiscountedFee().txes())
+                }
+                break
+            case 1:
+                for (const stage of phase.parallelTxsComponent().executionStages()) {
+                    for (const cluster of stage) {
+                        envelopes.push(...cluster)
+                    }
+                }
+                break
+            default:
+                throw new TxMetaEffectParserError(`Unsupported transaction phase version: ${phase.switch()}`, {code: errorCodes.unsupportedVersion})
+        }
+    }
+    return envelopes
+}
+
+module.exports = {parseLedgerCloseMetaContents}
@@ -1,77 +1,162 @@
 const {StrKey} = require('@stellar/stellar-base')
-const {TxMetaEffectParserError, UnexpectedTxMetaChangeError} = require('../errors')
+const {TxMetaEffectParserError, UnexpectedTxMetaChangeError, errorCodes, withErrorContext} = require('../errors')
 const {xdrParseAsset, xdrParseAccountAddress, xdrParseClaimant, xdrParsePrice, xdrParseSignerKey} = require('./tx-xdr-parser-utils')
-const {generateContractStateEntryHash, generateContractCodeEntryHash} = require('./ledger-key')
+const {generateContractStateEntryHash, generateContractCodeEntryHash, getLedgerEntryKey} = require('./ledger-key')
 
 /**
  * @typedef {{}} ParsedLedgerEntryMeta
  * @property {'account'|'trustline'|'offer'|'data'|'liquidityPool'|'claimableBalance'|'contractData'|'contractCode'|'ttl'} type - Ledger entry type
- * @property {'created'|'updated'|'removed'} action - Ledger modification action
- * @property {{}} before - Ledger entry state before changes applied
- * @property {{}} after - Ledger entry state after changes application
+ * @property {'created'|'updated'|'removed'|'restored'} action - Ledger modification action ('restored' is reported only for TTL entries restored from the archive without further modifications)
+ * @property {ParsedLedgerEntryState|null} before - Ledger entry state before changes applied
+ * @property {ParsedLedgerEntryState|null} after - Ledger entry state after changes application
+ */
+
+/**
+ * Ledger entry state snapshots contain all parsed entry fields along with common properties listed below
+ * @typedef {{}} ParsedLedgerEntryState
+ * @property {String} entry - Ledger entry type
+ * @property {Number} modified - Sequence of the ledger where the entry was last modified (lastModifiedLedgerSeq)
+ * @property {String} [sponsor] - Entry sponsor account
  */
 
 /**
  * @param {LedgerEntryChange[]} ledgerEntryChanges
+ * @param {Function} [onError] - Callback invoked for ledger entry changes that cannot be processed (changes are skipped instead of throwing an error)
+ * @param {PriceFormat} [priceFormat] - Format of offer prices: "number" (default), "rational", or "decimal"
  * @return {ParsedLedgerEntryMeta[]}
  */
-function parseLedgerEntryChanges(ledgerEntryChanges) {
+function parseLedgerEntryChanges(ledgerEntryChanges, onError, priceFormat = 'number') {
     const changes = []
     let state
     for (let i = 0; i < ledgerEntryChanges.length; i++) {
         const entry = ledgerEntryChanges[i]
         const action = entry._arm
-        const stateData = parseEntry(entry, action)
-        if (stateData === undefined)
-            continue
-        const change = {action}
-        const type = entry._value._arm
-        switch (action) {
-            case 'state':
-                state = stateData
+        try {
+            let stateData
+            try {
+                stateData = parseEntry(entry, action, priceFormat)
+            } catch (e) {
+                throw withErrorContext(e, {entryType: getEntryType(entry, action), action})
+            }
+            if (stateData === undefined)
                 continue
-            case 'created':
-                if (type === 'contractCode')
-                    continue //processed in operation handler
-                change.before = null
-                change.after = stateData
-                change.type = stateData.entry
-                break
-            case 'updated':
-                if (type === 'contractCode')
-                    throw new UnexpectedTxMetaChangeError({type, action})
-                change.before = state
-                change.after = stateData
-                change.type = stateData.entry
-                break
-            case 'removed':
-                if (!state && type === 'ttl')
-                    continue //skip expiration processing for now
-                change.before = state
-                change.after = null
-                change.type = state.entry
-                break
-            default:
-                throw new TxMetaEffectParserError(`Unknown change entry type: ${action}`)
+            const change = {action}
+            const type = entry._value._arm
+            switch (action) {
+                case 'state':
+                    state = stateData
+                    continue
+                case 'restored': //archived entry restored in protocol 23+
+                    if (isPairedChange(entry, ledgerEntryChanges[i + 1])) {
+                        state = stateData //restored entry has been modified afterwards
+                        continue
+                    }
+                    if (stateData.entry !== 'ttl')
+                        continue //entry value has not changed
+                    //report TTL restoration separately from regular updates
+                    change.before = null
+                    change.after = stateData
+                    change.type = stateData.entry
+                    break
+                case 'created':
+                    if (type === 'contractCode')
+                        continue //processed in operation handler
+                    change.before = null
+                    change.after = stateData
+                    change.type = stateData.entry
+                    break
+                case 'updated':
+                    if (type === 'contractCode')
+                        throw new UnexpectedTxMetaChangeError({type, action})
+                    change.before = state
+                    change.after = stateData
+                    change.type = stateData.entry
+                    break
+                case 'removed':
+                    if (!state && type === 'ttl')
+                        continue //skip expiration processing for now
+                    change.before = state
+                    change.after = null
+                    change.type = state.entry
+                    break
+                default:
+                    throw new TxMetaEffectParserError(`Unknown change entry type: ${action}`, {
+                        code: errorCodes.unsupportedLedgerEntry,
+                        entryType: normalizeEntryType(type),
+                        action
+                    })
+            }
+            changes.push(change)
+            state = null
+        } catch (e) {
+            if (!onError)
+                throw e
+            onError(withErrorContext(e, {action}))
+            if ((action === 'state' || action === 'restored') && isPairedChange(entry, ledgerEntryChanges[i + 1])) {
+                i++ //skip the paired change as well
+            }
+            state = null
         }
-        changes.push(change)
-        state = null
     }
     return changes
 }
 
-function parseEntry(entry, actionType) {
+/**
+ * Check whether the change is the update or removal of the entry from the preceding state change
+ * @param {LedgerEntryChange} stateChange - Ledger entry state (or restored entry) change
+ * @param {LedgerEntryChange} [nextChange] - Subsequent ledger entry change
+ * @return {Boolean}
+ */
+function isPairedChange(stateChange, nextChange) {
+    const nextAction = nextChange?._arm
+    if (nextAction !== 'updated' && nextAction !== 'removed')
+        return false
+    try {
+        const nextKey = nextAction === 'removed' ? nextChange.value() : getLedgerEntryKey(nextChange.value().data())
+        return getLedgerEntryKey(stateChange.value().data()).toXDR('base64') === nextKey.toXDR('base64')
+    } catch (e) {
+        return false //malformed entry can't be matched
+    }
+}
+
+/**
+ * Resolve ledger entry type of the change for error context
+ * @param {LedgerEntryChange} entry - Ledger entry change
+ * @param {String} action - Ledger entry change action
+ * @return {String}
+ */
+function getEntryType(entry, action) {
+    return normalizeEntryType(action === 'removed' ? entry.value().arm() : entry.value().data().arm())
+}
+
+/**
+ * Convert XDR ledger entry arm name to the parsed entry type name
+ * @param {String} arm - XDR union arm name
+ * @return {String}
+ */
+function normalizeEntryType(arm) {
+    switch (arm) {
+        case 'trustLine':
+            return 'trustline'
+        case 'datum':
+            return 'data'
+        default:
+            return arm
+    }
+}
+
+function parseEntry(entry, actionType, priceFormat) {
     if (actionType === 'removed')
         return null
     const value = entry.value()
-    const parsed = parseEntryData(value.data())
+    const parsed = parseEntryData(value.data(), priceFormat)
     if (parsed === null)
         return null
-    //parsed.modified = entry.lastModifiedLedgerSeq()
+    parsed.modified = value.lastModifiedLedgerSeq()
     return parseLedgerEntryExt(parsed, value)
 }
 
-function parseEntryData(data) {
+function parseEntryData(data, priceFormat) {
     const updatedEntryType = data.arm()
     switch (updatedEntryType) {
         case 'account':
@@ -80,7 +165,7 @@ function parseEntryData(data) {
         case 'trustLine':
             return parseTrustlineEntry(data)
         case 'offer':
-            return parseOfferEntry(data)
+            return parseOfferEntry(data, priceFormat)
         case 'data':
         case 'datum':
             return parseDataEntry(data)
@@ -95,7 +180,10 @@ function parseEntryData(data) {
         case 'ttl':
             return parseTtl(data)
         default:
-            throw new TxMetaEffectParserError(`Unknown meta entry type: ${updatedEntryType}`)
+            throw new TxMetaEffectParserError(`Unknown meta entry type: ${updatedEntryType}`, {
+                code: errorCodes.unsupportedLedgerEntry,
+                entryType: normalizeEntryType(updatedEntryType)
+            })
     }
 }
 
@@ -129,6 +217,7 @@ function parseAccountEntry(value) {
     data.thresholds = thresholds.slice(1).join()
     data.masterWeight = thresholds[0]
     const extV1 = accountEntryXdr.ext()?.v1()
+    data.liabilities = xdrParseLiabilities(extV1)
     if (extV1) {
         const extV2 = extV1.ext()?.v2()
         if (extV2) {
@@ -143,7 +232,7 @@ function parseAccountEntry(value) {
             }
         }
     }
-    //ignored fields: numSubEntries, extV1.liabilities, extV2.numSponsored, extV2.numSponsoring, extV3.seqLedger, extv3.seqTime
+    //ignored fields: numSubEntries, extV2.numSponsored, extV2.numSponsoring, extV3.seqLedger, extv3.seqTime
     return data
 }
 
@@ -163,7 +252,10 @@ function parseTrustlineEntry(value) {
             //data.liquidityPoolUseCount = trustlineEntryXdr.liquidityPoolUseCount()
             break
         default:
-            throw new TxMetaEffectParserError(`Unsupported trustline type ` + trustlineType)
+            throw new TxMetaEffectParserError(`Unsupported trustline type ` + trustlineType, {
+                code: errorCodes.unsupportedLedgerEntry,
+                entryType: 'trustline'
+            })
     }
     const data = {
         entry: 'trustline',
@@ -171,21 +263,27 @@ function parseTrustlineEntry(value) {
         asset,
         balance: trustlineEntryXdr.balance().toString(),
         limit: trustlineEntryXdr.limit().toString(),
-        flags: trustlineEntryXdr.flags()
+        flags: trustlineEntryXdr.flags(),
+        liabilities: xdrParseLiabilities(trustlineEntryXdr.ext()?.v1())
     }
-
-    /*
-    //ignored
-    const extV1 = trustlineEntryXdr.ext()?.v1()
-    if (extV1) {
-        const liabilities = extV1.liabilities()
-        data.buying_liabilities = liabilities.buying().toString()
-        data.selling_liabilities = liabilities.selling().toString()
-    }*/
-
     return data
 }
 
+/**
+ * Parse buying/selling liabilities from account or trustline entry extension
+ * @param {xdr.AccountEntryExtensionV1|xdr.TrustLineEntryV1} [extV1] - Entry extension (entries without extension have no liabilities)
+ * @return {{buying: String, selling: String}}
+ */
+function xdrParseLiabilities(extV1) {
+    if (!extV1)
+        return {buying: '0', selling: '0'}
+    const liabilities = extV1.liabilities()
+    return {
+        buying: liabilities.buying().toString(),
+        selling: liabilities.selling().toString()
+    }
+}
+
 function parseDataEntry(value) {
     const dataEntryXdr = value.value()
     return {
@@ -211,7 +309,7 @@ function parseLiquidityPoolEntry(value) {
     }
 }
 
-function parseOfferEntry(value) {
+function parseOfferEntry(value, priceFormat) {
     const offerEntryXdr = value.value()
     const data = {
         entry: 'offer',
@@ -219,9 +317,11 @@ function parseOfferEntry(value) {
         account: xdrParseAccountAddress(offerEntryXdr.sellerId()),
         asset: [xdrParseAsset(offerEntryXdr.selling()), xdrParseAsset(offerEntryXdr.buying())],
         amount: offerEntryXdr.amount().toString(),
-        price: xdrParsePrice(offerEntryXdr.price()),
+        price: xdrParsePrice(offerEntryXdr.price(), priceFormat),
         flags: offerEntryXdr.flags()
     }
+    //exact price for comparison regardless of the output format (not serialized)
+    Object.defineProperty(data, 'priceR', {value: xdrParsePrice(offerEntryXdr.price(), 'rational')})
     return data
 }
 
@@ -264,7 +364,10 @@ function parseContractData(value) {
                 if (instance.storage?.length) { //if not -- the asset has been created "fromAddress" - no metadata in this case
                     const metaArgs = instance.storage[0]._attributes
                     if (metaArgs.key._value.toString() !== 'METADATA')
-                        throw new TxMetaEffectParserError('Unexpected asset initialization metadata')
+                        throw new TxMetaEffectParserError('Unexpected asset initialization metadata', {
+                            code: errorCodes.unsupportedLedgerEntry,
+                            entryType: 'contractData'
+                        })
                     entry.asset = xdrParseAsset(metaArgs.val._value[1]._attributes.val._value.toString())
                 }
                 break
@@ -273,7 +376,10 @@ function parseContractData(value) {
                 entry.wasmHash = instance.executable.wasmHash().toString('hex')
                 break
             default:
-                throw new TxMetaEffectParserError('Unsupported executable type: ' + type)
+                throw new TxMetaEffectParserError('Unsupported executable type: ' + type, {
+                    code: errorCodes.unsupportedLedgerEntry,
+                    entryType: 'contractData'
+                })
         }
         if (instance.storage?.length) {
             entry.storage = instance.storage.map(entry => ({
@@ -13,7 +13,43 @@ function generateContractCodeEntryHash(wasmHash) {
     return hash(ledgerKey.toXDR()).toString('hex')
 }
 
+/**
+ * Build ledger key of the ledger entry
+ * @param {xdr.LedgerEntryData} data - Ledger entry data
+ * @return {xdr.LedgerKey}
+ */
+function getLedgerEntryKey(data) {
+    const value = data.value()
+    switch (data.arm()) {
+        case 'account':
+            return xdr.LedgerKey.account(new xdr.LedgerKeyAccount({accountId: value.accountId()}))
+        case 'trustLine':
+            return xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({accountId: value.accountId(), asset: value.asset()}))
+        case 'offer':
+            return xdr.LedgerKey.offer(new xdr.LedgerKeyOffer({sellerId: value.sellerId(), offerId: value.offerId()}))
+        case 'data':
+            return xdr.LedgerKey.data(new xdr.LedgerKeyData({accountId: value.accountId(), dataName: value.dataName()}))
+        case 'claimableBalance':
+            return xdr.LedgerKey.claimableBalance(new xdr.LedgerKeyClaimableBalance({balanceId: value.balanceId()}))
+        case 'liquidityPool':
+            return xdr.LedgerKey.liquidityPool(new xdr.LedgerKeyLiquidityPool({liquidityPoolId: value.liquidityPoolId()}))
+        case 'contractData': {
+            const {contract, durability, key} = value._attributes
+            return xdr.LedgerKey.contractData(new xdr.LedgerKeyContractData({contract, durability, key}))
+        }
+        case 'contractCode':
+            return xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({hash: value.hash()}))
+        case 'configSetting':
+            return xdr.LedgerKey.configSetting(new xdr.LedgerKeyConfigSetting({configSettingId: value.switch()}))
+        case 'ttl':
+            return xdr.LedgerKey.ttl(new xdr.LedgerKeyTtl({keyHash: value.keyHash()}))
+        default:
+            throw new TypeError(`Unsupported ledger entry type: ${data.arm()}`)
+    }
+}
+
 module.exports = {
     generateContractStateEntryHash,
-    generateContractCodeEntryHash
+    generateContractCodeEntryHash,
+    getLedgerEntryKey
 }
\ No newline at end of file
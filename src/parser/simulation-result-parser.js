@@ -0,0 +1,128 @@
+const {xdr, Address} = require('@stellar/stellar-base')
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
+const {ensureXdrInputType} = require('./tx-xdr-parser-utils')
+
+/**
+ * @typedef {{}} SimulationResult
+ * @property {String[]|xdr.DiagnosticEvent[]} [events] - Diagnostic events emitted during the simulation (base64-encoded or parsed XDR)
+ * @property {{xdr: String|xdr.ScVal, auth: String[]|xdr.SorobanAuthorizationEntry[]}[]} [results] - Host function invocation results (RPC response format)
+ * @property {{retval: xdr.ScVal, auth: xdr.SorobanAuthorizationEntry[]}} [result] - Host function invocation result (stellar-sdk parsed format)
+ * @property {String|xdr.SorobanTransactionData} [transactionData] - Resources footprint estimated by the simulation
+ * @property {String} [error] - Simulation error description
+ */
+
+/**
+ * @typedef {{}} ParsedSimulationResult
+ * @property {xdr.ContractEvent[]} events - Contract events emitted in successful contract calls
+ * @property {xdr.DiagnosticEvent[]} diagnosticEvents - All diagnostic events emitted during the simulation
+ * @property {xdr.ScVal} [returnValue] - Host function invocation return value
+ * @property {xdr.SorobanAuthorizationEntry[]} auth - Authorization entries required for the invocation
+ * @property {xdr.SorobanTransactionData} [transactionData] - Resources footprint estimated by the simulation
+ * @property {String} [error] - Simulation error description
+ */
+
+/**
+ * Normalize Soroban transaction simulation result
+ * @param {SimulationResult} simulation - Response of the simulateTransaction RPC call
+ * @return {ParsedSimulationResult}
+ */
+function parseSimulationResult(simulation) {
+    if (!simulation || typeof simulation !== 'object')
+        throw new TypeError(`Invalid simulation result format.`)
+    try {
+        const diagnosticEvents = (simulation.events || []).map(evt => ensureXdrInputType(evt, xdr.DiagnosticEvent))
+        const res = {
+            //contract events are emitted only when the invocation succeeded, so we treat them as regular events
+            events: diagnosticEvents
+                .filter(evt => evt.inSuccessfulContractCall() && evt.event().type().name === 'contract')
+                .map(evt => evt.event()),
+            diagnosticEvents,
+            auth: []
+        }
+        const invocationResult = simulation.results?.[0]
+        if (invocationResult) {
+            if (invocationResult.xdr) {
+                res.returnValue = ensureXdrInputType(invocationResult.xdr, xdr.ScVal)
+            }
+            res.auth = (invocationResult.auth || []).map(entry => ensureXdrInputType(entry, xdr.SorobanAuthorizationEntry))
+        } else if (simulation.result) { //already parsed by stellar-sdk
+            res.returnValue = simulation.result.retval
+            res.auth = simulation.result.auth || []
+        }
+        if (simulation.transactionData) {
+            const {transactionData} = simulation
+            res.transactionData = typeof transactionData.build === 'function' ? //SorobanDataBuilder instance
+                transactionData.build() :
+                ensureXdrInputType(transactionData, xdr.SorobanTransactionData)
+        }
+        if (simulation.error) {
+            res.error = simulation.error
+        }
+        return res
+    } catch (e) {
+        throw new TxMetaEffectParserError('Invalid simulation result XDR. ' + e.message, {code: errorCodes.invalidXdr, cause: e})
+    }
+}
+
+/**
+ * @typedef {{}} SimulatedAuthRequirement
+ * @property {String} address - Address that should authorize the invocation (transaction source for source account credentials)
+ * @property {'sourceAccount'|'address'} credentials - Credentials type
+ * @property {String} [nonce] - Authorization entry nonce (only for address credentials)
+ * @property {Number} [expirationLedger] - Signature expiration ledger (only for address credentials)
+ * @property {String} [contract] - Invoked contract address (only for contract function invocations)
+ * @property {String} [function] - Invoked contract function name (only for contract function invocations)
+ * @property {String} raw - Base64-encoded authorization entry XDR
+ */
+
+/**
+ * @typedef {{}} SimulatedFootprint
+ * @property {String[]} readOnly - Base64-encoded ledger keys of entries accessed in read-only mode
+ * @property {String[]} readWrite - Base64-encoded ledger keys of entries that can be modified
+ */
+
+/**
+ * Describe authorization entries required for the simulated invocation
+ * @param {xdr.SorobanAuthorizationEntry[]} auth - Authorization entries from the simulation result
+ * @param {String} source - Operation source account
+ * @return {SimulatedAuthRequirement[]}
+ */
+function parseSimulatedAuth(auth, source) {
+    return auth.map(entry => {
+        const credentials = entry.credentials()
+        const res = {}
+        if (credentials.switch().name === 'sorobanCredentialsAddress') {
+            const addressCredentials = credentials.address()
+            res.address = Address.fromScAddress(addressCredentials.address()).toString()
+            res.credentials = 'address'
+            res.nonce = addressCredentials.nonce().toString()
+            res.expirationLedger = addressCredentials.signatureExpirationLedger()
+        } else {
+            res.address = source
+            res.credentials = 'sourceAccount'
+        }
+        const fn = entry.rootInvocation().function()
+        if (fn.switch().name === 'sorobanAuthorizedFunctionTypeContractFn') {
+            const args = fn.contractFn()
+            res.contract = Address.fromScAddress(args.contractAddress()).toString()
+            res.function = args.functionName().toString()
+        }
+        res.raw = entry.toXDR('base64')
+        return res
+    })
+}
+
+/**
+ * Retrieve ledger keys footprint estimated by the simulation
+ * @param {xdr.SorobanTransactionData} transactionData - Soroban transaction data from the simulation result
+ * @return {SimulatedFootprint}
+ */
+function parseSimulatedFootprint(transactionData) {
+    const footprint = transactionData.resources().footprint()
+    return {
+        readOnly: footprint.readOnly().map(key => key.toXDR('base64')),
+        readWrite: footprint.readWrite().map(key => key.toXDR('base64'))
+    }
+}
+
+module.exports = {parseSimulationResult, parseSimulatedAuth, parseSimulatedFootprint}
@@ -0,0 +1,88 @@
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
+const {xdrParseSignerKey} = require('./tx-xdr-parser-utils')
+
+/**
+ * @typedef {{}} ParsedTxPreconditions
+ * @property {{min: String, max: String|null}} [timeBounds] - Validity time bounds (UNIX timestamps, null max value for unbounded)
+ * @property {{min: Number, max: Number|null}} [ledgerBounds] - Validity ledger sequence bounds (null max value for unbounded)
+ * @property {String} [minSequence] - Minimum source account sequence number
+ * @property {String} [minSequenceAge] - Minimum source account sequence age (in seconds)
+ * @property {Number} [minSequenceLedgerGap] - Minimum number of ledgers since the source account sequence change
+ * @property {String[]} [extraSigners] - Additional signer keys required to authorize the transaction
+ */
+
+/**
+ * @typedef {{}} ParsedTxMemo
+ * @property {'text'|'id'|'hash'|'return'} type - Memo type
+ * @property {String} value - Decoded memo value (UTF-8 string for text memo, uint64 string for id memo, hex string for hash and return memo)
+ * @property {String} raw - Base64-encoded memo XDR
+ */
+
+/**
+ * Normalize transaction preconditions (only preconditions set in the transaction are included)
+ * @param {Transaction} tx - Parsed transaction (inner transaction for fee bump transactions)
+ * @return {ParsedTxPreconditions}
+ */
+function parseTxPreconditions(tx) {
+    const res = {}
+    if (tx.timeBounds) {
+        const {minTime, maxTime} = tx.timeBounds
+        res.timeBounds = {min: minTime, max: maxTime === '0' ? null : maxTime}
+    }
+    if (tx.ledgerBounds) {
+        const {minLedger, maxLedger} = tx.ledgerBounds
+        res.ledgerBounds = {min: minLedger, max: maxLedger || null}
+    }
+    if (tx.minAccountSequence !== undefined) {
+        res.minSequence = tx.minAccountSequence
+    }
+    const minSequenceAge = tx.minAccountSequenceAge?.toString()
+    if (minSequenceAge && minSequenceAge !== '0') {
+        res.minSequenceAge = minSequenceAge
+    }
+    if (tx.minAccountSequenceLedgerGap) {
+        res.minSequenceLedgerGap = tx.minAccountSequenceLedgerGap
+    }
+    if (tx.extraSigners?.length) {
+        res.extraSigners = tx.extraSigners.map(xdrParseSignerKey)
+    }
+    return res
+}
+
+/**
+ * Decode transaction memo
+ * @param {Transaction} tx - Parsed transaction (inner transaction for fee bump transactions)
+ * @return {ParsedTxMemo|undefined} - Parsed memo (undefined if the transaction has no memo)
+ */
+function parseTxMemo(tx) {
+    /**@type {xdr.Memo}*/
+    const memo = tx.tx.memo()
+    let type
+    let value
+    switch (memo.switch().name) {
+        case 'memoNone':
+            return undefined
+        case 'memoText':
+            type = 'text'
+            //text memo may contain arbitrary bytes, exact value can be retrieved from the raw memo
+            value = Buffer.from(memo.text()).toString('utf8')
+            break
+        case 'memoId':
+            type = 'id'
+            value = memo.id().toString()
+            break
+        case 'memoHash':
+            type = 'hash'
+            value = memo.hash().toString('hex')
+            break
+        case 'memoReturn':
+            type = 'return'
+            value = memo.retHash().toString('hex')
+            break
+        default:
+            throw new TxMetaEffectParserError(`Unsupported memo type: "${memo.switch().name}"`, {code: errorCodes.unsupportedXdrValue})
+    }
+    return {type, value, raw: memo.toXDR('base64')}
+}
+
+module.exports = {parseTxPreconditions, parseTxMemo}
@@ -1,33 +1,35 @@
 const {parseLedgerEntryChanges} = require('./ledger-entry-changes-parser')
-const {TxMetaEffectParserError} = require('../errors')
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
 
 /**
  * Parse top-level transaction metadata changes
  * @param {TransactionMeta} meta
+ * @param {Function} [onError] - Callback invoked for ledger entry changes that cannot be processed (changes are skipped instead of throwing an error)
  * @return {ParsedLedgerEntryMeta[]}
  */
-function parseTxMetaChanges(meta) {
+function parseTxMetaChanges(meta, onError) {
     const transactionMeta = meta.value()
     const txMetaChanges = []
 
     switch (meta.arm()) {
         case 'v1':
-            retrieveTopLevelChanges(transactionMeta.txChanges(), txMetaChanges)
+            retrieveTopLevelChanges(transactionMeta.txChanges(), txMetaChanges, onError)
             break
         case 'v2':
         case 'v3':
-            retrieveTopLevelChanges(transactionMeta.txChangesBefore(), txMetaChanges)
-            retrieveTopLevelChanges(transactionMeta.txChangesAfter(), txMetaChanges)
+        case 'v4':
+            retrieveTopLevelChanges(transactionMeta.txChangesBefore(), txMetaChanges, onError)
+            retrieveTopLevelChanges(transactionMeta.txChangesAfter(), txMetaChanges, onError)
             break
         default:
-            throw new TxMetaEffectParserError(`Transaction meta version ${meta.arm()} is not supported.`)
+            throw new TxMetaEffectParserError(`Transaction meta version ${meta.arm()} is not supported.`, {code: errorCodes.unsupportedVersion})
     }
 
     return txMetaChanges
 }
 
-function retrieveTopLevelChanges(changes, res) {
-    for (const entry of parseLedgerEntryChanges(changes)) {
+function retrieveTopLevelChanges(changes, res, onError) {
+    for (const entry of parseLedgerEntryChanges(changes, onError)) {
         res.push(entry)
     }
 }
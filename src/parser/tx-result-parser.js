@@ -1,22 +1,23 @@
 const {xdr} = require('@stellar/stellar-base')
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
 const {xdrParseAccountAddress, xdrParseTradeAtom, xdrParseClaimedOffer, xdrParseAsset} = require('./tx-xdr-parser-utils')
-const {TxMetaEffectParserError} = require('../errors')
 
 /**
  * Parse extra data from operation result
  * @param {Object} rawOpResult - Operation result XDR
- * @return {Object}
+ * @param {PriceFormat} [priceFormat] - Format of the maker offer price: "number" (default), "rational", or "decimal"
+ * @return {Object} - Parsed result ("failed" flag is set for failed operations, "resultType" contains the result code name)
  */
-function parseRawOpResult(rawOpResult) {
+function parseRawOpResult(rawOpResult, priceFormat = 'number') {
     const inner = rawOpResult.tr()
     if (inner === undefined)
-        return null //"opNoAccount" Case
+        return {resultType: rawOpResult.switch().name, failed: true} //"opNoAccount", "opBadAuth", etc.
     const opResult = inner.value()
     const successOpResultType = opResult.switch()
 
-    //no need to parse failed operations
+    //no need to parse failed operations, only the result code is available
     if (successOpResultType.value < 0)
-        return null
+        return {resultType: successOpResultType.name, failed: true}
 
     const res = {
         resultType: successOpResultType.name
@@ -37,7 +38,7 @@ function parseRawOpResult(rawOpResult) {
         case 'manageSellOfferSuccess':
         case 'manageBuyOfferSuccess': {
             const makerOfferXdr = opResult.value().offer().value()
-            res.makerOffer = makerOfferXdr && xdrParseTradeAtom(makerOfferXdr)
+            res.makerOffer = makerOfferXdr && xdrParseTradeAtom(makerOfferXdr, priceFormat)
             res.claimedOffers = opResult.value().offersClaimed().map(claimedOffer => xdrParseClaimedOffer(claimedOffer))
         }
             break
@@ -77,7 +78,7 @@ function parseRawOpResult(rawOpResult) {
         case 'extendFootprintTtlSuccess':
             break //no extra info available
         default:
-            throw new TxMetaEffectParserError(`Unknown op result: ${successOpResultType.name}`)
+            throw new TxMetaEffectParserError(`Unknown op result: ${successOpResultType.name}`, {code: errorCodes.unsupportedResult})
     }
     return res
 }
@@ -86,15 +87,18 @@ function parseRawOpResult(rawOpResult) {
  * @typedef {Object} ParsedTxResult
  * @property {Object} feeCharged
  * @property {Boolean} success
- * @property {Array<Object>} opResults
+ * @property {String} resultCode - Transaction result code name (e.g. "txSuccess", "txFailed", or "txBadSeq")
+ * @property {String} [innerResultCode] - Inner transaction result code name (only for fee bump transactions)
+ * @property {Array<Object>} opResults - Parsed operation results (empty if the transaction failed before operations execution)
  */
 
 /**
  * Parse single transaction result.
  * @param {Object|String} result - Raw transaction result XDR.
+ * @param {PriceFormat} [priceFormat] - Format of maker offer prices: "number" (default), "rational", or "decimal"
  * @return {ParsedTxResult}
  */
-function parseTxResult(result) {
+function parseTxResult(result, priceFormat = 'number') {
     if (typeof result === 'string') {
         result = xdr.TransactionResult.fromXDR(result, 'base64')
     }
@@ -103,25 +107,33 @@ function parseTxResult(result) {
     const feeCharged = result.feeCharged().toString()
     const success = txResultState.value >= 0
 
-    let opResults = []
-    if (success) {
-        switch (txResultState.name) {
-            case 'txFeeBumpInnerSuccess':
-                //const childTxHash = innerResult.innerResultPair().transactionHash()
-                opResults = (innerResult.value().result().result().results() || []).map(parseRawOpResult)
-                break
-            case 'txSuccess':
-                opResults = (innerResult.results() || []).map(parseRawOpResult)
-                break
-            default:
-                throw new TxMetaEffectParserError(`Invalid tx result state switch: ${txResultState.name}`)
-        }
-    }
-    return {
+    const res = {
         success,
-        opResults,
+        resultCode: txResultState.name,
+        opResults: [],
         feeCharged
     }
+    switch (txResultState.name) {
+        case 'txFeeBumpInnerSuccess':
+        case 'txFeeBumpInnerFailed': {
+            //const childTxHash = innerResult.innerResultPair().transactionHash()
+            const inner = innerResult.value().result().result()
+            res.innerResultCode = inner.switch().name
+            if (res.innerResultCode === 'txSuccess' || res.innerResultCode === 'txFailed') {
+                res.opResults = (inner.results() || []).map(opResult => parseRawOpResult(opResult, priceFormat))
+            }
+        }
+            break
+        case 'txSuccess':
+        case 'txFailed':
+            res.opResults = (innerResult.results() || []).map(opResult => parseRawOpResult(opResult, priceFormat))
+            break
+        default:
+            if (success)
+                throw new TxMetaEffectParserError(`Invalid tx result state switch: ${txResultState.name}`, {code: errorCodes.unsupportedResult})
+            break //tx failed before operations execution
+    }
+    return res
 }
 
-module.exports = {parseTxResult}
\ No newline at end of file
+module.exports = {parseTxResult, parseRawOpResult}
\ No newline at end of file
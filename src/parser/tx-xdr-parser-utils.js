@@ -1,5 +1,5 @@
-const {StrKey, LiquidityPoolId, scValToBigInt, xdr, Asset} = require('@stellar/stellar-base')
-const {TxMetaEffectParserError} = require('../errors')
+const {StrKey, LiquidityPoolId, Address, scValToBigInt, xdr, Asset} = require('@stellar/stellar-base')
+const {TxMetaEffectParserError, errorCodes} = require('../errors')
 
 /**
  * @param {String} address
@@ -38,13 +38,13 @@ function xdrParseAccountAddress(accountId, muxedAccountsSupported = false) {
                 return StrKey.encodeEd25519PublicKey(accountId.ed25519())
             case 'med25519':
                 if (!muxedAccountsSupported)
-                    throw new TxMetaEffectParserError(`Muxed accounts not supported here`)
+                    throw new TxMetaEffectParserError(`Muxed accounts not supported here`, {code: errorCodes.unsupportedXdrValue})
                 return {
                     primary: StrKey.encodeEd25519PublicKey(accountId.value().ed25519()),
                     muxedId: accountId.value().id().toString()
                 }
             default:
-                throw new TxMetaEffectParserError(`Unsupported account type: ${accountId.arm()}`)
+                throw new TxMetaEffectParserError(`Unsupported account type: ${accountId.arm()}`, {code: errorCodes.unsupportedXdrValue})
         }
     }
     if (accountId instanceof Uint8Array) {
@@ -62,13 +62,62 @@ function xdrParseContractAddress(rawContractId) {
     return StrKey.encodeContract(rawContractId)
 }
 
+/**
+ * Price representation: floating point number (default), exact {n, d} rational, or decimal string rounded to 7 digits
+ * @typedef {'number'|'rational'|'decimal'} PriceFormat
+ */
+
+const priceFormats = ['number', 'rational', 'decimal']
+
 /**
  * Parse XDR price representation
  * @param {{n: Function, d: Function}} price
- * @return {Number}
+ * @param {PriceFormat} [format] - Output price format
+ * @return {Number|String|{n: String, d: String}}
+ */
+function xdrParsePrice(price, format = 'number') {
+    return formatPrice(price.n(), price.d(), format)
+}
+
+/**
+ * Format price defined as a ratio of two integers
+ * @param {Number|String|BigInt} n - Numerator
+ * @param {Number|String|BigInt} d - Denominator
+ * @param {PriceFormat} [format] - Output price format
+ * @return {Number|String|{n: String, d: String}}
+ */
+function formatPrice(n, d, format = 'number') {
+    switch (format) {
+        case 'number':
+            return Number(n) / Number(d)
+        case 'rational':
+            return {n: n.toString(), d: d.toString()}
+        case 'decimal': {
+            d = BigInt(d)
+            //round half up to 7 decimal places, same as Horizon
+            const scaled = (BigInt(n) * 20000000n + d) / (2n * d)
+            return (scaled / 10000000n).toString() + '.' + (scaled % 10000000n).toString().padStart(7, '0')
+        }
+    }
+    throw new TypeError(`Unsupported price format: "${format}"`)
+}
+
+/**
+ * Calculate trade execution price (amount bought by the maker per unit of the sold asset)
+ * @param {String[]} amount - Amounts sold and bought by the maker
+ * @param {PriceFormat} [format] - Output price format
+ * @return {Number|String|{n: String, d: String}|undefined} - Execution price or undefined for zero-amount trades
  */
-function xdrParsePrice(price) {
-    return price.n() / price.d()
+function calculateTradePrice([sold, bought], format = 'number') {
+    sold = BigInt(sold)
+    bought = BigInt(bought)
+    if (sold <= 0n)
+        return undefined
+    let divisor = sold
+    for (let rem = bought; rem > 0n;) { //reduce the fraction (GCD)
+        [divisor, rem] = [rem, divisor % rem]
+    }
+    return formatPrice(bought / divisor, sold / divisor, format)
 }
 
 /**
@@ -86,9 +135,9 @@ function xdrParseSignerKey(signer) {
         case 'hashX':
             return StrKey.encodeSha256Hash(signer.hashX())
         case 'ed25519SignedPayload':
-            return StrKey.encodeSignedPayload(signer.ed25519SignedPayload()) //TODO: check
+            return StrKey.encodeSignedPayload(signer.ed25519SignedPayload().toXDR())
     }
-    throw new TxMetaEffectParserError(`Unsupported signer type: "${type}"`)
+    throw new TxMetaEffectParserError(`Unsupported signer type: "${type}"`, {code: errorCodes.unsupportedXdrValue})
 }
 
 
@@ -99,14 +148,16 @@ function xdrParseSignerKey(signer) {
  * @property {Array<String>} amount
  * @property {String} offerId?
  * @property {Buffer} poolId?
+ * @property {Number|String|{n: String, d: String}} price? - Maker offer price
  */
 
 /**
  * Parse maker offer descriptor from raw XDR.
  * @param {Object} offerXdr
+ * @param {PriceFormat} [priceFormat] - Output price format
  * @return {ParsedOffer}
  */
-function xdrParseTradeAtom(offerXdr) {
+function xdrParseTradeAtom(offerXdr, priceFormat = 'number') {
     return {
         offerId: offerXdr.offerId().toString(),
         account: xdrParseAccountAddress(offerXdr.sellerId()),
@@ -114,7 +165,7 @@ function xdrParseTradeAtom(offerXdr) {
         //offer amount is always stored in terms of a selling asset, even for buy offers
         amount: (offerXdr.amount() || offerXdr.buyAmount()).toString(),
         //flags: offerXdr.flags()
-        price: xdrParsePrice(offerXdr.price())
+        price: xdrParsePrice(offerXdr.price(), priceFormat)
     }
 }
 
@@ -148,7 +199,7 @@ function xdrParseClaimedOffer(claimedAtom) {
             }
             break
         default:
-            throw new TxMetaEffectParserError(`Unsupported claimed atom type: ` + atomType)
+            throw new TxMetaEffectParserError(`Unsupported claimed atom type: ` + atomType, {code: errorCodes.unsupportedXdrValue})
     }
     return {
         asset: [
@@ -181,7 +232,7 @@ function xdrParseClaimantPredicate(predicate) {
         case 'claimPredicateBeforeRelativeTime':
             return {relBefore: value.toString()}
         default:
-            throw new TxMetaEffectParserError(`Unknown claim condition predicate: ${type}`)
+            throw new TxMetaEffectParserError(`Unknown claim condition predicate: ${type}`, {code: errorCodes.unsupportedXdrValue})
     }
 }
 
@@ -207,7 +258,7 @@ function xdrParseAsset(src) {
                     return poolId.toString('hex')
                 if (poolId.constantProduct)
                     return LiquidityPoolId.fromOperation(poolId).getLiquidityPoolId()
-                throw new TxMetaEffectParserError('Unsupported liquidity pool asset id format')
+                throw new TxMetaEffectParserError('Unsupported liquidity pool asset id format', {code: errorCodes.unsupportedXdrValue})
             }
             default: {
                 const value = src.value()
@@ -241,12 +292,13 @@ function xdrParseScVal(value, treatBytesAsContractId = false) {
     switch (value._arm) {
         case 'vec':
             return value._value.map(xdrParseScVal)
-        case 'map':
+        case 'map': {
             const res = {}
             for (const entry of value._value) {
                 res[xdrParseScVal(entry.key())] = xdrParseScVal(entry.val())
             }
             return res
+        }
         case 'i256':
         case 'u256':
         case 'i128':
@@ -261,7 +313,9 @@ function xdrParseScVal(value, treatBytesAsContractId = false) {
                 return xdrParseAccountAddress(value._value.value())
             if (value._value._arm === 'contractId')
                 return xdrParseContractAddress(value._value.value())
-            throw new TxMetaEffectParserError('Not supported XDR primitive type: ' + value.toString())
+            if (value._value._arm === 'muxedAccount' || value._value._arm === 'claimableBalanceId' || value._value._arm === 'liquidityPoolId')
+                return Address.fromScAddress(value._value).toString() //addresses introduced in protocol 23
+            throw new TxMetaEffectParserError('Not supported XDR primitive type: ' + value.toString(), {code: errorCodes.unsupportedXdrValue})
         case 'bytes':
             return treatBytesAsContractId ? xdrParseContractAddress(value.value()) : value._value.toString('base64')
         case 'i32':
@@ -290,10 +344,26 @@ function xdrParseScVal(value, treatBytesAsContractId = false) {
                 case 'scvLedgerKeyNonce':
                     return '<LedgerKeyNonce>'
             }
-            throw new TxMetaEffectParserError('Not supported XDR primitive type: ' + value.toXDR ? value.toXDR() : value.toString())
+            throw new TxMetaEffectParserError('Not supported XDR primitive type: ' + (value.toXDR ? value.toXDR('base64') : value.toString()), {code: errorCodes.unsupportedXdrValue})
     }
 }
 
+/**
+ * Convert base64/raw XDR representation to XDR type
+ * @param {String|Buffer|Uint8Array|xdrType} value
+ * @param xdrType
+ * @return {xdrType|*}
+ * @internal
+ */
+function ensureXdrInputType(value, xdrType) {
+    if (value?.toXDR) //duck-typing check XDR types
+        return value
+
+    if (!value || (typeof value !== 'string' && !(value instanceof Uint8Array)))
+        throw new TypeError(`Invalid input format. Expected xdr.${xdrType.name} (raw, buffer, or bas64-encoded).`)
+    return xdrType.fromXDR(value, typeof value === 'string' ? 'base64' : 'raw')
+}
+
 module.exports = {
     xdrParseAsset,
     xdrParseAccountAddress,
@@ -303,7 +373,11 @@ module.exports = {
     xdrParseTradeAtom,
     xdrParseSignerKey,
     xdrParsePrice,
+    formatPrice,
+    calculateTradePrice,
+    priceFormats,
     xdrParseScVal,
     isContractAddress,
-    toStellarAsset
+    toStellarAsset,
+    ensureXdrInputType
 }
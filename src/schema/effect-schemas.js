@@ -0,0 +1,454 @@
+const effectTypes = require('../effect-types')
+const {flagDefinitions} = require('../flags')
+
+//primitive value definitions shared across effect schemas
+const accountAddress = {type: 'string', pattern: '^G[A-Z2-7]{55}$'}
+const address = {type: 'string', pattern: '^([GC][A-Z2-7]{55}|M[A-Z2-7]{68})$'}
+const muxedAddress = {type: 'string', pattern: '^M[A-Z2-7]{68}$'}
+const muxedId = {type: 'string', pattern: '^\\d+$'}
+const contractAddress = {type: 'string', pattern: '^C[A-Z2-7]{55}$'}
+const asset = {type: 'string', pattern: '^(XLM|[a-zA-Z0-9]{1,12}-G[A-Z2-7]{55}-[12]|C[A-Z2-7]{55}|[0-9a-f]{64})$'}
+const amount = {type: 'string', pattern: '^\\d+$'}
+const signedAmount = {type: 'string', pattern: '^-?\\d+$'}
+const hash = {type: 'string', pattern: '^[0-9a-f]{64}$'}
+const signerKey = {type: 'string', pattern: '^[GTXP][A-Z2-7]{55,}$'}
+const xdrValue = {type: 'string'} //base64-encoded XDR
+const integer = {type: 'integer'}
+const any = {}
+
+//price as a number, decimal string, or exact {n, d} rational (depending on "priceFormat" parser option)
+const price = {
+    type: ['number', 'string', 'object'],
+    pattern: '^\\d+\\.\\d{7}$',
+    properties: {n: amount, d: amount},
+    required: ['n', 'd'],
+    additionalProperties: false
+}
+
+const assetAmount = {
+    type: 'object',
+    properties: {asset, amount},
+    required: ['asset', 'amount'],
+    additionalProperties: false
+}
+
+const liabilities = {
+    type: 'object',
+    properties: {
+        buying: amount,
+        selling: amount
+    },
+    required: ['buying', 'selling'],
+    additionalProperties: false
+}
+
+const claimant = {
+    type: 'object',
+    properties: {
+        destination: accountAddress,
+        predicate: {type: 'object'}
+    },
+    required: ['destination', 'predicate'],
+    additionalProperties: false
+}
+
+const signer = {
+    type: 'object',
+    properties: {
+        key: signerKey,
+        weight: integer,
+        sponsor: accountAddress
+    },
+    required: ['key', 'weight'],
+    additionalProperties: false
+}
+
+const pathPaymentHop = {
+    type: 'object',
+    properties: {
+        asset: {type: 'array', items: asset, minItems: 2, maxItems: 2},
+        amount: {type: 'array', items: amount, minItems: 2, maxItems: 2},
+        trades: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    amount: {type: 'array', items: amount, minItems: 2, maxItems: 2},
+                    offer: {type: 'string', pattern: '^\\d+$'},
+                    seller: accountAddress,
+                    pool: hash
+                },
+                required: ['amount'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['asset', 'amount', 'trades'],
+    additionalProperties: false
+}
+
+/**
+ * Define effect schema
+ * @param {String} type - Effect type
+ * @param {Object<String,{}>} properties - Effect-specific properties
+ * @param {String[]} [required] - Required effect-specific properties
+ * @return {{}}
+ */
+function defineEffect(type, properties, required = []) {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: type,
+        type: 'object',
+        properties: {
+            type: {const: type},
+            id: {type: 'string', pattern: '^\\d{19}-\\d{10}$'},
+            source: address,
+            simulated: {type: 'boolean'},
+            ...properties
+        },
+        required: ['type', 'source', ...required],
+        additionalProperties: false
+    }
+}
+
+function defineSponsorshipEffects(entry, properties, required) {
+    const res = {}
+    for (const action of ['Created', 'Updated', 'Removed']) {
+        const type = `${entry}Sponsorship${action}`
+        const sponsorshipRequired = [...required]
+        if (action !== 'Removed') {
+            sponsorshipRequired.push('sponsor')
+        }
+        if (action !== 'Created') {
+            sponsorshipRequired.push('prevSponsor')
+        }
+        res[type] = defineEffect(type, {
+            ...properties,
+            sponsor: accountAddress,
+            prevSponsor: accountAddress
+        }, sponsorshipRequired)
+    }
+    return res
+}
+
+/**
+ * Define decoded flag properties for the given ledger entry type
+ * @param {String} entryType - Ledger entry type
+ * @param {Boolean} [withChanges] - Whether to include previous flags and lists of set/cleared flags
+ * @return {Object<String,{}>}
+ */
+function defineFlags(entryType, withChanges = false) {
+    const flagNames = {type: 'array', items: {enum: Object.keys(flagDefinitions[entryType])}}
+    const res = {flags: integer, flagNames}
+    if (withChanges) {
+        Object.assign(res, {prevFlags: integer, flagsSet: flagNames, flagsCleared: flagNames})
+    }
+    return res
+}
+
+const signerChanges = {
+    signer: signerKey,
+    weight: integer,
+    signers: {type: 'array', items: signer}
+}
+
+const trustlineProperties = {
+    asset,
+    kind: {enum: ['asset', 'poolShares']},
+    ...defineFlags('trustline', true),
+    limit: amount,
+    sponsor: accountAddress
+}
+
+const balanceChangeProperties = {
+    asset,
+    amount,
+    balance: amount,
+    muxed: muxedAddress,
+    muxedId
+}
+
+const offerProperties = {
+    offer: {type: 'string', pattern: '^\\d+$'},
+    owner: accountAddress,
+    amount,
+    asset: {type: 'array', items: asset, minItems: 2, maxItems: 2},
+    price,
+    ...defineFlags('offer'),
+    sponsor: accountAddress
+}
+
+const liquidityPoolState = {
+    pool: hash,
+    reserves: {type: 'array', items: assetAmount, minItems: 2, maxItems: 2},
+    shares: amount,
+    accounts: integer,
+    sponsor: accountAddress
+}
+
+const liquidityPoolBalanceChange = {
+    pool: hash,
+    assets: {type: 'array', items: assetAmount, minItems: 2, maxItems: 2},
+    shares: amount
+}
+
+const claimableBalanceProperties = {
+    balance: hash,
+    sponsor: accountAddress,
+    asset,
+    amount,
+    claimants: {type: 'array', items: claimant},
+    ...defineFlags('claimableBalance')
+}
+
+const contractDataProperties = {
+    owner: address,
+    key: xdrValue,
+    durability: {enum: ['persistent', 'temporary', 'instance']},
+    keyHash: hash, //not available for instance storage entries
+    value: xdrValue,
+    prevValue: xdrValue
+}
+
+/**
+ * JSON Schema (draft-07) definitions for every effect type
+ * @readonly
+ */
+const effectSchemas = {
+    [effectTypes.feeCharged]: defineEffect(effectTypes.feeCharged, {
+        asset: {const: 'XLM'},
+        bid: amount,
+        charged: amount,
+        bump: {type: 'boolean'},
+        muxed: muxedAddress,
+        muxedId
+    }, ['asset', 'bid', 'charged']),
+
+    [effectTypes.operationFailed]: defineEffect(effectTypes.operationFailed, {
+        code: {type: 'string'}
+    }, ['code']),
+
+    [effectTypes.accountCreated]: defineEffect(effectTypes.accountCreated, {
+        account: accountAddress,
+        sponsor: accountAddress
+    }, ['account']),
+    [effectTypes.accountRemoved]: defineEffect(effectTypes.accountRemoved, {
+        sponsor: accountAddress
+    }),
+    [effectTypes.accountMerged]: defineEffect(effectTypes.accountMerged, {
+        account: accountAddress,
+        destination: accountAddress,
+        destinationMuxed: muxedAddress,
+        destinationMuxedId: muxedId,
+        amount,
+        mismatch: {
+            type: 'object',
+            properties: {
+                debited: signedAmount,
+                credited: signedAmount
+            },
+            required: ['debited', 'credited'],
+            additionalProperties: false
+        }
+    }, ['account', 'destination', 'amount']),
+
+    [effectTypes.accountDebited]: defineEffect(effectTypes.accountDebited, balanceChangeProperties, ['asset', 'amount']),
+    [effectTypes.accountCredited]: defineEffect(effectTypes.accountCredited, balanceChangeProperties, ['asset', 'amount']),
+
+    [effectTypes.accountHomeDomainUpdated]: defineEffect(effectTypes.accountHomeDomainUpdated, {
+        domain: {type: 'string'}
+    }, ['domain']),
+    [effectTypes.accountThresholdsUpdated]: defineEffect(effectTypes.accountThresholdsUpdated, {
+        thresholds: {type: 'array', items: integer, minItems: 3, maxItems: 3}
+    }, ['thresholds']),
+    [effectTypes.accountFlagsUpdated]: defineEffect(effectTypes.accountFlagsUpdated, defineFlags('account', true), ['flags', 'prevFlags', 'flagNames', 'flagsSet', 'flagsCleared']),
+    [effectTypes.accountInflationDestinationUpdated]: defineEffect(effectTypes.accountInflationDestinationUpdated, {
+        inflationDestination: accountAddress
+    }, ['inflationDestination']),
+
+    [effectTypes.accountSignerCreated]: defineEffect(effectTypes.accountSignerCreated, signerChanges, ['signer', 'weight', 'signers']),
+    [effectTypes.accountSignerUpdated]: defineEffect(effectTypes.accountSignerUpdated, signerChanges, ['signer', 'weight', 'signers']),
+    [effectTypes.accountSignerRemoved]: defineEffect(effectTypes.accountSignerRemoved, signerChanges, ['signer', 'weight', 'signers']),
+
+    [effectTypes.trustlineCreated]: defineEffect(effectTypes.trustlineCreated, trustlineProperties, ['asset', 'kind', 'flags', 'flagNames', 'limit']),
+    [effectTypes.trustlineUpdated]: defineEffect(effectTypes.trustlineUpdated, trustlineProperties, ['asset', 'kind', 'flags', 'flagNames', 'limit']),
+    [effectTypes.trustlineRemoved]: defineEffect(effectTypes.trustlineRemoved, trustlineProperties, ['asset', 'kind', 'flags', 'flagNames']),
+    [effectTypes.trustlineAuthorizationUpdated]: defineEffect(effectTypes.trustlineAuthorizationUpdated, {
+        trustor: accountAddress,
+        asset,
+        ...defineFlags('trustline', true)
+    }, ['trustor', 'asset', 'flags', 'prevFlags', 'flagNames', 'flagsSet', 'flagsCleared']),
+
+    [effectTypes.liabilitiesUpdated]: defineEffect(effectTypes.liabilitiesUpdated, {
+        asset,
+        liabilities,
+        prevLiabilities: liabilities
+    }, ['asset', 'liabilities', 'prevLiabilities']),
+
+    [effectTypes.assetMinted]: defineEffect(effectTypes.assetMinted, {asset, amount}, ['asset', 'amount']),
+    [effectTypes.assetBurned]: defineEffect(effectTypes.assetBurned, {asset, amount}, ['asset', 'amount']),
+
+    [effectTypes.liquidityPoolCreated]: defineEffect(effectTypes.liquidityPoolCreated, liquidityPoolState, ['pool', 'reserves', 'shares', 'accounts']),
+    [effectTypes.liquidityPoolUpdated]: defineEffect(effectTypes.liquidityPoolUpdated, liquidityPoolState, ['pool', 'reserves', 'shares', 'accounts']),
+    [effectTypes.liquidityPoolRemoved]: defineEffect(effectTypes.liquidityPoolRemoved, {
+        pool: hash,
+        sponsor: accountAddress
+    }, ['pool']),
+
+    [effectTypes.offerCreated]: defineEffect(effectTypes.offerCreated, offerProperties, ['offer', 'owner', 'amount', 'asset', 'price', 'flags', 'flagNames']),
+    [effectTypes.offerUpdated]: defineEffect(effectTypes.offerUpdated, offerProperties, ['offer', 'owner', 'amount', 'asset', 'price', 'flags', 'flagNames']),
+    [effectTypes.offerRemoved]: defineEffect(effectTypes.offerRemoved, offerProperties, ['offer', 'owner', 'asset', 'flags', 'flagNames']),
+
+    [effectTypes.trade]: defineEffect(effectTypes.trade, {
+        amount: {type: 'array', items: amount, minItems: 2, maxItems: 2},
+        asset: {type: 'array', items: asset, minItems: 2, maxItems: 2},
+        offer: {type: 'string', pattern: '^\\d+$'},
+        seller: accountAddress,
+        pool: hash,
+        price
+    }, ['amount', 'asset']),
+
+    [effectTypes.pathPayment]: defineEffect(effectTypes.pathPayment, {
+        destination: address,
+        asset: {type: 'array', items: asset, minItems: 2, maxItems: 2},
+        amount: {type: 'array', items: amount, minItems: 2, maxItems: 2},
+        path: {type: 'array', items: asset},
+        hops: {type: 'array', items: pathPaymentHop}
+    }, ['destination', 'asset', 'amount', 'path', 'hops']),
+
+    [effectTypes.inflation]: defineEffect(effectTypes.inflation, {
+        amount,
+        payouts: integer
+    }),
+
+    [effectTypes.sequenceBumped]: defineEffect(effectTypes.sequenceBumped, {
+        sequence: amount
+    }, ['sequence']),
+
+    [effectTypes.dataEntryCreated]: defineEffect(effectTypes.dataEntryCreated, {
+        name: {type: 'string'},
+        value: {type: 'string'},
+        sponsor: accountAddress
+    }, ['name', 'value']),
+    [effectTypes.dataEntryUpdated]: defineEffect(effectTypes.dataEntryUpdated, {
+        name: {type: 'string'},
+        value: {type: 'string'},
+        sponsor: accountAddress
+    }, ['name', 'value']),
+    [effectTypes.dataEntryRemoved]: defineEffect(effectTypes.dataEntryRemoved, {
+        name: {type: 'string'},
+        sponsor: accountAddress
+    }, ['name']),
+
+    [effectTypes.claimableBalanceCreated]: defineEffect(effectTypes.claimableBalanceCreated, claimableBalanceProperties, ['balance', 'asset', 'amount', 'claimants']),
+    [effectTypes.claimableBalanceRemoved]: defineEffect(effectTypes.claimableBalanceRemoved, claimableBalanceProperties, ['balance', 'asset', 'amount', 'claimants']),
+    [effectTypes.claimableBalanceClaimed]: defineEffect(effectTypes.claimableBalanceClaimed, {
+        balance: hash,
+        asset,
+        amount,
+        claimant: accountAddress,
+        predicate: {type: 'object'}
+    }, ['balance', 'asset', 'amount', 'claimant', 'predicate']),
+    [effectTypes.claimableBalanceClawedBack]: defineEffect(effectTypes.claimableBalanceClawedBack, {
+        balance: hash,
+        asset,
+        amount,
+        issuer: accountAddress
+    }, ['balance', 'asset', 'amount', 'issuer']),
+
+    [effectTypes.liquidityPoolDeposited]: defineEffect(effectTypes.liquidityPoolDeposited, liquidityPoolBalanceChange, ['pool', 'assets', 'shares']),
+    [effectTypes.liquidityPoolWithdrew]: defineEffect(effectTypes.liquidityPoolWithdrew, liquidityPoolBalanceChange, ['pool', 'assets', 'shares']),
+
+    ...defineSponsorshipEffects('account', {account: accountAddress}, ['account']),
+    ...defineSponsorshipEffects('trustline', {account: accountAddress, asset, pool: hash}, ['account', 'asset']),
+    ...defineSponsorshipEffects('offer', {account: accountAddress, offer: {type: 'string', pattern: '^\\d+$'}}, ['account', 'offer']),
+    ...defineSponsorshipEffects('data', {account: accountAddress, name: {type: 'string'}}, ['account', 'name']),
+    ...defineSponsorshipEffects('claimableBalance', {
+        balance: hash,
+        asset,
+        amount,
+        claimants: {type: 'array', items: claimant}
+    }, ['balance', 'asset', 'amount', 'claimants']),
+    ...defineSponsorshipEffects('liquidityPool', {pool: hash}, ['pool']),
+    ...defineSponsorshipEffects('signer', {account: accountAddress, signer: signerKey}, ['account', 'signer']),
+
+    [effectTypes.contractCodeUploaded]: defineEffect(effectTypes.contractCodeUploaded, {
+        wasm: {type: 'string'},
+        wasmHash: hash,
+        keyHash: hash
+    }, ['wasm', 'wasmHash', 'keyHash']),
+    [effectTypes.contractCodeRemoved]: defineEffect(effectTypes.contractCodeRemoved, {
+        wasmHash: hash,
+        keyHash: hash
+    }, ['wasmHash', 'keyHash']),
+
+    [effectTypes.contractCreated]: defineEffect(effectTypes.contractCreated, {
+        contract: contractAddress,
+        kind: {enum: ['wasm', 'fromAsset', 'fromAddress']},
+        wasmHash: hash,
+        asset,
+        issuer: accountAddress,
+        salt: {type: 'string'},
+        constructorArgs: {type: 'array', items: xdrValue}
+    }, ['contract', 'kind']),
+    [effectTypes.contractUpdated]: defineEffect(effectTypes.contractUpdated, {
+        contract: contractAddress,
+        kind: {enum: ['wasm', 'fromAsset']},
+        wasmHash: hash,
+        prevWasmHash: hash,
+        asset,
+        admin: address
+    }, ['contract']),
+
+    [effectTypes.contractInvoked]: defineEffect(effectTypes.contractInvoked, {
+        contract: contractAddress,
+        function: {type: 'string'},
+        args: any,
+        rawArgs: xdrValue,
+        result: xdrValue,
+        depth: integer
+    }, ['contract', 'function', 'rawArgs']),
+    [effectTypes.contractError]: defineEffect(effectTypes.contractError, {
+        contract: {type: ['string', 'null']},
+        code: {type: ['string', 'integer']},
+        details: any
+    }, ['code']),
+
+    [effectTypes.contractDataCreated]: defineEffect(effectTypes.contractDataCreated, contractDataProperties, ['owner', 'key', 'durability', 'value']),
+    [effectTypes.contractDataUpdated]: defineEffect(effectTypes.contractDataUpdated, contractDataProperties, ['owner', 'key', 'durability', 'value', 'prevValue']),
+    [effectTypes.contractDataRemoved]: defineEffect(effectTypes.contractDataRemoved, contractDataProperties, ['owner', 'key', 'durability', 'prevValue']),
+
+    [effectTypes.contractEvent]: defineEffect(effectTypes.contractEvent, {
+        contract: contractAddress,
+        topics: {type: 'array'},
+        rawTopics: {type: 'array', items: xdrValue},
+        data: any,
+        rawData: xdrValue,
+        stage: {enum: ['beforeAllTxes', 'afterTx', 'afterAllTxes']}
+    }, ['contract', 'topics', 'rawTopics', 'rawData']),
+    [effectTypes.contractMetrics]: {
+        ...defineEffect(effectTypes.contractMetrics, {
+            contract: {type: ['string', 'null']},
+            fee: {
+                type: 'object',
+                properties: {
+                    nonrefundable: integer,
+                    refundable: integer,
+                    rent: integer
+                },
+                required: ['nonrefundable', 'refundable', 'rent'],
+                additionalProperties: false
+            }
+        }),
+        additionalProperties: {type: 'number'} //metric values reported by Soroban host
+    },
+
+    [effectTypes.setTtl]: defineEffect(effectTypes.setTtl, {
+        keyHash: hash,
+        ttl: integer,
+        kind: {enum: ['contractCode', 'contractData']},
+        owner: address
+    }, ['keyHash', 'ttl'])
+}
+
+module.exports = {effectSchemas}
@@ -0,0 +1,124 @@
+const {effectSchemas} = require('./effect-schemas')
+
+/**
+ * Validate effect against the JSON Schema of its type
+ * @param {{}} effect - Effect to validate
+ * @return {String[]} - Validation errors (empty array for valid effects)
+ */
+function validateEffect(effect) {
+    if (!effect || typeof effect !== 'object')
+        return ['effect: expected object']
+    const schema = effectSchemas[effect.type]
+    if (!schema)
+        return [`effect.type: unknown effect type "${effect.type}"`]
+    return validateValue(effect, schema, 'effect')
+}
+
+/**
+ * Validate all effects of the transaction processed by parseTxOperationsMeta
+ * @param {ParsedTxOperationsMetadata} parsedTx - Parsed transaction
+ * @return {String[]} - Validation errors (empty array if all effects are valid)
+ */
+function validateParsedTx(parsedTx) {
+    const errors = []
+    const validateEffects = (effects, path) => {
+        if (!effects)
+            return
+        for (let i = 0; i < effects.length; i++) {
+            for (const error of validateEffect(effects[i])) {
+                errors.push(`${path}[${i}]` + error.substring(6)) //replace "effect" prefix with the effect path
+            }
+        }
+    }
+    validateEffects(parsedTx.effects, 'effects')
+    if (parsedTx.operations) {
+        for (let i = 0; i < parsedTx.operations.length; i++) {
+            validateEffects(parsedTx.operations[i].effects, `operations[${i}].effects`)
+        }
+    }
+    return errors
+}
+
+/**
+ * Validate value against the subset of JSON Schema keywords used in effect schemas
+ * @param {*} value
+ * @param {{}} schema
+ * @param {String} path
+ * @return {String[]}
+ */
+function validateValue(value, schema, path) {
+    if (schema.const !== undefined && value !== schema.const)
+        return [`${path}: expected ${JSON.stringify(schema.const)}`]
+    if (schema.enum && !schema.enum.includes(value))
+        return [`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`]
+    if (schema.type) {
+        const types = schema.type instanceof Array ? schema.type : [schema.type]
+        if (!types.some(type => matchType(value, type)))
+            return [`${path}: expected ${types.join(' or ')}`]
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value))
+        return [`${path}: value "${value}" does not match pattern ${schema.pattern}`]
+    if (value instanceof Array)
+        return validateArray(value, schema, path)
+    if (value && typeof value === 'object')
+        return validateObject(value, schema, path)
+    return []
+}
+
+function validateArray(value, schema, path) {
+    const errors = []
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: expected at least ${schema.minItems} items`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: expected at most ${schema.maxItems} items`)
+    }
+    if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+            errors.push(...validateValue(value[i], schema.items, `${path}[${i}]`))
+        }
+    }
+    return errors
+}
+
+function validateObject(value, schema, path) {
+    const errors = []
+    const properties = schema.properties || {}
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            errors.push(`${path}.${key}: required property is missing`)
+        }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+        if (propValue === undefined)
+            continue //undefined values are omitted during serialization
+        const propSchema = properties[key]
+        if (propSchema) {
+            errors.push(...validateValue(propValue, propSchema, `${path}.${key}`))
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${path}.${key}: unexpected property`)
+        } else if (typeof schema.additionalProperties === 'object') {
+            errors.push(...validateValue(propValue, schema.additionalProperties, `${path}.${key}`))
+        }
+    }
+    return errors
+}
+
+function matchType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null
+        case 'array':
+            return value instanceof Array
+        case 'object':
+            return value !== null && typeof value === 'object' && !(value instanceof Array)
+        case 'integer':
+            return Number.isInteger(value)
+        case 'number':
+            return typeof value === 'number' && !isNaN(value)
+        default:
+            return typeof value === type
+    }
+}
+
+module.exports = {validateEffect, validateParsedTx}
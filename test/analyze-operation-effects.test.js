@@ -0,0 +1,85 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const {analyzeOperationEffects} = require('../src')
+const {EffectsAnalyzer} = require('../src/effects-analyzer')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+//only successful transactions with default network
+const testCases = require('./op-effects-data.json')
+    .filter(([, {result, network}]) => !network && xdr.TransactionResult.fromXDR(result, 'base64').result().switch().value >= 0)
+
+describe('analyzeOperationEffects()', () => {
+    test.each(testCases)('Analyze single operation effects - %s', (description, params) => {
+        const {tx, result, meta, expected} = params
+        const parsedTx = TransactionBuilder.fromXDR(tx, network)
+        const opResults = xdr.TransactionResult.fromXDR(result, 'base64').result().results()
+        const opMeta = xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()
+
+        for (let i = 0; i < parsedTx.operations.length; i++) {
+            const operation = parsedTx.operations[i]
+            if (!operation.source) {
+                operation.source = parsedTx.source
+            }
+            const effects = analyzeOperationEffects({
+                network,
+                operation,
+                meta: opMeta[i],
+                result: opResults[i]
+            })
+            expect(effects).toStrictEqual(expected[i])
+        }
+    })
+
+    test('Ledger entry changes as input', () => {
+        const [, {tx, result, meta, expected}] = testCases[0]
+        const parsedTx = TransactionBuilder.fromXDR(tx, network)
+        const operation = parsedTx.operations[0]
+        const effects = analyzeOperationEffects({
+            network,
+            operation,
+            meta: xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0].changes(),
+            result: xdr.TransactionResult.fromXDR(result, 'base64').result().results()[0]
+        })
+        expect(effects).toStrictEqual(expected[0])
+    })
+
+    test('Warnings in non-strict mode', () => {
+        const [, {tx, result, meta, expected}] = testCases[0]
+        const operation = TransactionBuilder.fromXDR(tx, network).operations[0]
+        const spy = jest.spyOn(EffectsAnalyzer.prototype, 'processChange')
+            .mockImplementationOnce(() => {
+                throw new TypeError('test')
+            })
+        let warnings = []
+        const effects = analyzeOperationEffects({
+            network,
+            operation,
+            meta: xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0],
+            result: xdr.TransactionResult.fromXDR(result, 'base64').result().results()[0],
+            strict: false,
+            onWarning: w => warnings.push(w)
+        })
+        spy.mockRestore()
+        expect(warnings.length).toEqual(1)
+        expect(warnings[0].skipped).toEqual('ledgerEntryChange')
+        expect(warnings[0].message).toEqual('Transaction metadata processing error. test')
+        expect(effects.length).toBeLessThan(expected[0].length)
+        //no warnings
+        warnings = []
+        expect(analyzeOperationEffects({
+            network,
+            operation,
+            meta: xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0],
+            result: xdr.TransactionResult.fromXDR(result, 'base64').result().results()[0],
+            strict: false,
+            onWarning: w => warnings.push(w)
+        })).toStrictEqual(expected[0])
+        expect(warnings).toStrictEqual([])
+    })
+
+    test('Missing operation source', () => {
+        const [, {tx}] = testCases[1]
+        const operation = TransactionBuilder.fromXDR(tx, network).operations.find(op => !op.source)
+        expect(() => analyzeOperationEffects({network, operation, meta: []})).toThrow(/Operation source is not explicitly defined/)
+    })
+})
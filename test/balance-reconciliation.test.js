@@ -0,0 +1,130 @@
+const {Keypair, TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, parseLedgerCloseMeta, reconcileBalances} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+const fixtures = require('./op-effects-data.json')
+
+function parseFixture(description) {
+    const [, fixture] = fixtures.find(([d]) => d.startsWith(description))
+    return parseTxOperationsMeta({network, ...fixture, includeLedgerChanges: true})
+}
+
+function buildAccountEntryChange(change, address, balance) {
+    return xdr.LedgerEntryChange[change](new xdr.LedgerEntry({
+        lastModifiedLedgerSeq: 100500,
+        data: xdr.LedgerEntryData.account(new xdr.AccountEntry({
+            accountId: Keypair.fromPublicKey(address).xdrAccountId(),
+            balance: xdr.Int64.fromString(balance),
+            seqNum: xdr.SequenceNumber.fromString('171356310208512'),
+            numSubEntries: 0,
+            inflationDest: null,
+            flags: 0,
+            homeDomain: '',
+            thresholds: Buffer.from([1, 0, 0, 0]),
+            signers: [],
+            ext: new xdr.AccountEntryExt(0)
+        })),
+        ext: new xdr.LedgerEntryExt(0)
+    }))
+}
+
+function parseLedgerTx(feeCharged) {
+    const [, {tx, result, meta}] = require('./tx-effects-data.json')[0]
+    const source = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+    const emptyHash = Buffer.alloc(32)
+    const ledgerCloseMeta = new xdr.LedgerCloseMeta(0, new xdr.LedgerCloseMetaV0({
+        ledgerHeader: new xdr.LedgerHeaderHistoryEntry({
+            hash: emptyHash,
+            header: new xdr.LedgerHeader({
+                ledgerVersion: 21,
+                previousLedgerHash: emptyHash,
+                scpValue: new xdr.StellarValue({
+                    txSetHash: emptyHash,
+                    closeTime: xdr.TimePoint.fromString('1700000000'),
+                    upgrades: [],
+                    ext: xdr.StellarValueExt.stellarValueBasic()
+                }),
+                txSetResultHash: emptyHash,
+                bucketListHash: emptyHash,
+                ledgerSeq: 100500,
+                totalCoins: xdr.Int64.fromString('0'),
+                feePool: xdr.Int64.fromString('0'),
+                inflationSeq: 0,
+                idPool: xdr.Uint64.fromString('0'),
+                baseFee: 100,
+                baseReserve: 5000000,
+                maxTxSetSize: 100,
+                skipList: [emptyHash, emptyHash, emptyHash, emptyHash],
+                ext: new xdr.LedgerHeaderExt(0)
+            }),
+            ext: new xdr.LedgerHeaderHistoryEntryExt(0)
+        }),
+        txSet: new xdr.TransactionSet({previousLedgerHash: emptyHash, txes: [xdr.TransactionEnvelope.fromXDR(tx, 'base64')]}),
+        txProcessing: [new xdr.TransactionResultMeta({
+            result: new xdr.TransactionResultPair({
+                transactionHash: TransactionBuilder.fromXDR(tx, network).hash(),
+                result: xdr.TransactionResult.fromXDR(result, 'base64')
+            }),
+            feeProcessing: [
+                buildAccountEntryChange('ledgerEntryState', source, '100000000000'),
+                buildAccountEntryChange('ledgerEntryUpdated', source, (100000000000n - feeCharged).toString())
+            ],
+            txApplyProcessing: xdr.TransactionMeta.fromXDR(meta, 'base64')
+        })],
+        upgradesProcessing: [],
+        scpInfo: []
+    }))
+    return parseLedgerCloseMeta({network, ledgerCloseMeta, includeLedgerChanges: true}).transactions[0]
+}
+
+describe('Balance reconciliation', () => {
+    test.each([
+        'create account, set options, bump sequence, run inflation',
+        'create offer with ManageSellOffer',
+        'deposit liquidity to the pool',
+        'claim claimable balance, clawback claimable balance',
+        'inflation'
+    ])('Balanced - %s', description => {
+        expect(reconcileBalances(parseFixture(description))).toStrictEqual({balanced: true, discrepancies: []})
+    })
+
+    test('XLM created out of thin air', () => {
+        expect(reconcileBalances(parseFixture('account merge+merge bug exploit'))).toStrictEqual({
+            balanced: false,
+            discrepancies: [{
+                check: 'assetTransfers',
+                operationIndex: 1,
+                asset: 'XLM',
+                expected: '0',
+                actual: '200098520'
+            }]
+        })
+    })
+
+    test('Effect balance mismatch', () => {
+        const res = parseFixture('create account, set options, bump sequence, run inflation')
+        res.operations[0].effects[2].balance = '1'
+        expect(reconcileBalances(res).discrepancies).toStrictEqual([{
+            check: 'effectBalance',
+            operationIndex: 0,
+            effectIndex: 2,
+            account: 'GBWCS2C42PQYMDQVBIVUOWDPSM2T3BRJWG2ENQJQU3N75J4CSKJ6DXHN',
+            asset: 'XLM',
+            expected: '1000000000',
+            actual: '1'
+        }])
+    })
+
+    test('Charged fee', () => {
+        const parsed = parseLedgerTx(100n)
+        expect(parsed.feeChanges.length).toEqual(1)
+        expect(reconcileBalances(parsed)).toStrictEqual({balanced: true, discrepancies: []})
+        expect(reconcileBalances(parseLedgerTx(200n)).discrepancies).toStrictEqual([{
+            check: 'feeCharged',
+            account: 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI',
+            asset: 'XLM',
+            expected: '200',
+            actual: '100'
+        }])
+    })
+})
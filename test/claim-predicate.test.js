@@ -0,0 +1,61 @@
+const {evaluateClaimPredicate} = require('../src')
+
+const createdAt = 1000
+
+describe('evaluateClaimPredicate()', () => {
+    test('Unconditional', () => {
+        expect(evaluateClaimPredicate({}, createdAt, 5000)).toStrictEqual({valid: true, windows: [{from: '1000', to: null}]})
+        expect(evaluateClaimPredicate({}, createdAt, 999).valid).toBe(false)
+    })
+
+    test('Absolute and relative time', () => {
+        expect(evaluateClaimPredicate({absBefore: '2000'}, createdAt, 1999)).toStrictEqual({valid: true, windows: [{from: '1000', to: '2000'}]})
+        expect(evaluateClaimPredicate({absBefore: '2000'}, createdAt, 2000).valid).toBe(false)
+        expect(evaluateClaimPredicate({absBefore: '500'}, createdAt, 400)).toStrictEqual({valid: false, windows: []})
+        expect(evaluateClaimPredicate({relBefore: '600'}, createdAt, 1500)).toStrictEqual({valid: true, windows: [{from: '1000', to: '1600'}]})
+        expect(evaluateClaimPredicate({relBefore: '600'}, createdAt, 1600).valid).toBe(false)
+    })
+
+    test('Claimable after the given time', () => {
+        const predicate = {not: {absBefore: '3000'}}
+        expect(evaluateClaimPredicate(predicate, createdAt, 2999)).toStrictEqual({valid: false, windows: [{from: '3000', to: null}]})
+        expect(evaluateClaimPredicate(predicate, createdAt, 3000).valid).toBe(true)
+        expect(evaluateClaimPredicate({not: {}}, createdAt, 3000)).toStrictEqual({valid: false, windows: []})
+    })
+
+    test('Compound predicates', () => {
+        //claimable between 2000 and 3000, or during the first 100 seconds
+        const predicate = {
+            or: [
+                {and: [{not: {absBefore: '2000'}}, {absBefore: '3000'}]},
+                {relBefore: '100'}
+            ]
+        }
+        expect(evaluateClaimPredicate(predicate, createdAt, 2500)).toStrictEqual({
+            valid: true,
+            windows: [{from: '1000', to: '1100'}, {from: '2000', to: '3000'}]
+        })
+        expect(evaluateClaimPredicate(predicate, createdAt, 1500).valid).toBe(false)
+        //overlapping and adjacent windows are merged
+        expect(evaluateClaimPredicate({or: [{absBefore: '2000'}, {not: {relBefore: '1000'}}]}, createdAt, 1500).windows)
+            .toStrictEqual([{from: '1000', to: null}])
+        expect(evaluateClaimPredicate({not: {or: [{absBefore: '2000'}, {not: {absBefore: '4000'}}]}}, createdAt).windows)
+            .toStrictEqual([{from: '2000', to: '4000'}])
+        expect(evaluateClaimPredicate({and: [{absBefore: '2000'}, {not: {absBefore: '2000'}}]}, createdAt, 1500).windows).toStrictEqual([])
+    })
+
+    test('Date arguments and large timestamps', () => {
+        const res = evaluateClaimPredicate({absBefore: '9223372036854775807'}, new Date(createdAt * 1000))
+        expect(res.valid).toBe(true)
+        expect(res.windows).toStrictEqual([{from: String(createdAt), to: '9223372036854775807'}])
+        //window boundaries beyond the safe integer range are exact
+        expect(evaluateClaimPredicate({not: {absBefore: '9007199254740993'}}, createdAt, Number.MAX_SAFE_INTEGER))
+            .toStrictEqual({valid: false, windows: [{from: '9007199254740993', to: null}]})
+    })
+
+    test('Invalid arguments', () => {
+        expect(() => evaluateClaimPredicate({after: '1'}, createdAt)).toThrow(/Unsupported claim predicate/)
+        expect(() => evaluateClaimPredicate(null, createdAt)).toThrow(/Invalid claim predicate/)
+        expect(() => evaluateClaimPredicate({}, '1000')).toThrow(/Invalid claim predicate evaluation creation time/)
+    })
+})
@@ -0,0 +1,84 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {Readable, Writable} = require('stream')
+const {runCli} = require('../bin/tx-meta-effects')
+
+const network = 'Test SDF Future Network ; October 2022'
+const [[, regularTx], [, secondTx]] = require('./tx-effects-data.json')
+
+async function run(args, input = '', isTTY = false) {
+    let stdout = ''
+    let stderr = ''
+    const stdin = Readable.from([input])
+    stdin.isTTY = isTTY
+    const code = await runCli(args, {
+        stdin,
+        stdout: new Writable({write: (chunk, encoding, cb) => cb(null, stdout += chunk)}),
+        stderr: new Writable({write: (chunk, encoding, cb) => cb(null, stderr += chunk)})
+    })
+    return {code, stdout, stderr}
+}
+
+describe('Command-line tool', () => {
+    test('XDR arguments', async () => {
+        const {code, stdout} = await run(['-n', 'futurenet', regularTx.tx, regularTx.result, regularTx.meta])
+        expect(code).toEqual(0)
+        const res = JSON.parse(stdout)
+        expect(res.hash).toMatch(/^[0-9a-f]{64}$/)
+        expect(res.effects).toStrictEqual(regularTx.expected)
+        expect(res.operations[0].effects.length).toBeGreaterThan(0)
+    })
+
+    test('XDR from files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-meta-effects-'))
+        try {
+            for (const key of ['tx', 'result', 'meta']) {
+                fs.writeFileSync(path.join(dir, key), regularTx[key])
+            }
+            const {code, stdout} = await run(['--network', network, ...['tx', 'result', 'meta'].map(key => '@' + path.join(dir, key))])
+            expect(code).toEqual(0)
+            expect(JSON.parse(stdout).effects).toStrictEqual(regularTx.expected)
+        } finally {
+            fs.rmSync(dir, {recursive: true})
+        }
+    })
+
+    test('NDJSON from stdin', async () => {
+        const {code, stdout} = await run(['-n', 'futurenet', '--ndjson'], JSON.stringify(regularTx))
+        expect(code).toEqual(0)
+        const lines = stdout.trim().split('\n').map(line => JSON.parse(line))
+        expect(lines[0]).toEqual({tx: lines[0].tx, ...regularTx.expected[0]})
+        expect(lines[1].operation).toEqual(0)
+    })
+
+    test('Batch mode', async () => {
+        const input = [
+            `${regularTx.tx} ${regularTx.result} ${regularTx.meta}`,
+            '',
+            JSON.stringify(secondTx),
+            'invalid'
+        ].join('\n')
+        const {code, stdout, stderr} = await run(['-n', 'futurenet', '--batch', '-'], input)
+        expect(code).toEqual(1)
+        expect(JSON.parse(stdout).length).toEqual(2)
+        expect(stderr).toMatch(/^Line 4: /)
+    })
+
+    test('Invalid arguments', async () => {
+        expect((await run(['--unknown'])).code).toEqual(2)
+        expect(await run(['-n', 'mainnet', regularTx.tx])).toStrictEqual({code: 2, stdout: '', stderr: 'Unknown network preset: mainnet\n'})
+        expect(await run(['--price-format', 'float', regularTx.tx])).toStrictEqual({code: 2, stdout: '', stderr: 'Unknown price format: float\n'})
+        expect((await run(['--help'])).stdout).toMatch(/^Usage: tx-meta-effects/)
+    })
+
+    test('Usage shown for interactive terminal without input', async () => {
+        for (const args of [[], ['-n', 'futurenet'], ['--batch', '-']]) {
+            const {code, stdout, stderr} = await run(args, '', true)
+            expect(code).toEqual(2)
+            expect(stdout).toEqual('')
+            expect(stderr).toMatch(/^Usage: tx-meta-effects/)
+        }
+        expect((await run(['-n', 'futurenet', regularTx.tx, regularTx.result, regularTx.meta], '', true)).code).toEqual(0)
+    })
+})
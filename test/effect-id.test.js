@@ -0,0 +1,76 @@
+const {parseTxOperationsMeta, encodeEffectId, decodeEffectId, toHorizonEffects} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+const fixtures = require('./op-effects-data.json')
+
+function parseFixture(description, params = {}) {
+    const [, fixture] = fixtures.find(([d]) => d.startsWith(description))
+    return parseTxOperationsMeta({network, ...fixture, ...params})
+}
+
+describe('Effect identifiers', () => {
+    test('Encode and decode', () => {
+        expect(encodeEffectId(100500, 1, 0, 0)).toEqual('0000431644213252097-0000000001')
+        expect(encodeEffectId(100500, 1, null, 2)).toEqual('0000431644213252096-0000000003')
+        expect(decodeEffectId('0000431644213252097-0000000001')).toStrictEqual({
+            ledgerSequence: 100500,
+            applicationOrder: 1,
+            operationIndex: 0,
+            effectIndex: 0
+        })
+        expect(decodeEffectId('431644213252096-3')).toStrictEqual({
+            ledgerSequence: 100500,
+            applicationOrder: 1,
+            operationIndex: null,
+            effectIndex: 2
+        })
+        expect(() => encodeEffectId(100500, 0, 0, 0)).toThrow(RangeError)
+        expect(() => encodeEffectId(100500, 1, 4095, 0)).toThrow(RangeError)
+        expect(() => decodeEffectId('abc')).toThrow(TypeError)
+    })
+
+    test('Ids follow the execution order', () => {
+        const ids = [
+            encodeEffectId(100500, 2, 0, 0),
+            encodeEffectId(100500, 1, 1, 10),
+            encodeEffectId(100501, 1, null, 0),
+            encodeEffectId(100500, 1, 1, 9),
+            encodeEffectId(100500, 1, null, 1)
+        ]
+        expect(ids.slice().sort()).toStrictEqual([ids[4], ids[3], ids[1], ids[0], ids[2]])
+    })
+
+    test('Ids assigned to transaction and operation effects', () => {
+        const res = parseFixture('create account, set options', {ledgerSequence: 100500, applicationOrder: 3})
+        expect(res.effects[0].id).toEqual(encodeEffectId(100500, 3, null, 0))
+        for (let i = 0; i < res.operations.length; i++) {
+            res.operations[i].effects.forEach((effect, j) => expect(decodeEffectId(effect.id)).toStrictEqual({
+                ledgerSequence: 100500,
+                applicationOrder: 3,
+                operationIndex: i,
+                effectIndex: j
+            }))
+        }
+    })
+
+    test('Ids not assigned without ledger context', () => {
+        const res = parseFixture('create account, set options', {ledgerSequence: 100500})
+        expect(res.effects[0].id).toBeUndefined()
+        expect(res.operations[0].effects[0].id).toBeUndefined()
+    })
+
+    test('Horizon effect ids and paging tokens', () => {
+        const res = parseFixture('create offer with ManageSellOffer', {ledgerSequence: 100500, applicationOrder: 1})
+        const records = toHorizonEffects(res)
+        const ids = records.map(r => r.id)
+        expect(new Set(ids).size).toEqual(records.length)
+        expect(ids.slice().sort()).toStrictEqual(ids)
+        const [first] = records
+        expect(first.paging_token).toEqual(decodeEffectIdToken(first.id))
+    })
+})
+
+function decodeEffectIdToken(id) {
+    const [toid, order] = id.split('-')
+    return BigInt(toid) + '-' + parseInt(order, 10)
+}
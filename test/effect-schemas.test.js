@@ -0,0 +1,75 @@
+const {Networks} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, effectTypes, effectSchemas, validateEffect, validateParsedTx, errorCodes, disposeSacCache} = require('../src')
+const {EffectsAnalyzer} = require('../src/effects-analyzer')
+
+function resolveNetwork(network) {
+    if (!network)
+        return 'Test SDF Future Network ; October 2022' //futurenet by default
+    if (network.includes(' '))
+        return network
+    return Networks[network.toUpperCase()] //predefined
+}
+
+const source = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+
+describe('Effect schemas', () => {
+    test('Schema defined for every effect type', () => {
+        for (const type of Object.keys(effectTypes)) {
+            expect(effectSchemas[type]?.properties.type.const).toEqual(type)
+        }
+    })
+
+    test.each([
+        ...require('./op-effects-data.json'),
+        ...require('./soroban-op-effects-data.json')
+    ])('Valid effects - %s', (description, params) => {
+        const {tx, result, meta, network} = params
+        const res = parseTxOperationsMeta({
+            network: resolveNetwork(network),
+            tx,
+            result,
+            meta,
+            mapSac: true,
+            processSystemEvents: true,
+            processFailedOpEffects: true,
+            validate: true
+        })
+        expect(validateParsedTx(res)).toStrictEqual([])
+    })
+
+    test('Invalid effects', () => {
+        expect(validateEffect({type: effectTypes.accountCredited, source, asset: 'XLM', amount: '100'})).toStrictEqual([])
+        expect(validateEffect({type: 'unknown', source})).toStrictEqual(['effect.type: unknown effect type "unknown"'])
+        expect(validateEffect({type: effectTypes.accountCredited, source, asset: 'XLM', amount: 100, extra: 1})).toStrictEqual([
+            'effect.amount: expected string',
+            'effect.extra: unexpected property'
+        ])
+        expect(validateEffect({type: effectTypes.trade, source, asset: ['XLM'], amount: ['1', '-1']})).toStrictEqual([
+            'effect.asset: expected at least 2 items',
+            'effect.amount[1]: value "-1" does not match pattern ^\\d+$'
+        ])
+        expect(validateEffect({type: effectTypes.accountCreated, source})).toStrictEqual(['effect.account: required property is missing'])
+    })
+
+    test('Automatic validation', () => {
+        const [, {tx, result, meta}] = require('./op-effects-data.json')[0]
+        const network = resolveNetwork()
+        const spy = jest.spyOn(EffectsAnalyzer.prototype, 'analyze')
+            .mockImplementation(() => [{type: effectTypes.accountCredited, source, asset: 'XLM'}])
+        //validation is disabled by default
+        expect(() => parseTxOperationsMeta({network, tx, result, meta})).not.toThrow()
+        let error
+        try {
+            parseTxOperationsMeta({network, tx, result, meta, validate: true})
+        } catch (e) {
+            error = e
+        }
+        spy.mockRestore()
+        expect(error.code).toEqual(errorCodes.invalidEffect)
+        expect(error.validationErrors).toStrictEqual(['operations[0].effects[0].amount: required property is missing'])
+    })
+
+    afterAll(() => {
+        disposeSacCache()
+    })
+})
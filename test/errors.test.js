@@ -0,0 +1,58 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, errorCodes, TxMetaEffectParserError, UnexpectedTxMetaChangeError} = require('../src')
+const {EffectsAnalyzer} = require('../src/effects-analyzer')
+const {withErrorContext} = require('../src/errors')
+
+const network = 'Test SDF Future Network ; October 2022'
+const [, {tx, result, meta}] = require('./op-effects-data.json')[1]
+const txHash = TransactionBuilder.fromXDR(tx, network).hash().toString('hex')
+
+function catchError(cb) {
+    try {
+        cb()
+    } catch (e) {
+        return e
+    }
+    throw new Error('Expected error was not thrown')
+}
+
+describe('Error codes and context', () => {
+    test('Invalid XDR', () => {
+        const e = catchError(() => parseTxOperationsMeta({network, tx: 'AAAA', result, meta}))
+        expect(e).toBeInstanceOf(TxMetaEffectParserError)
+        expect(e.code).toEqual(errorCodes.invalidXdr)
+        expect(e.cause).toBeInstanceOf(Error)
+    })
+
+    test('Unsupported meta version', () => {
+        const metaV0 = new xdr.TransactionMeta(0, [])
+        const e = catchError(() => parseTxOperationsMeta({network, tx, result, meta: metaV0}))
+        expect(e.code).toEqual(errorCodes.unsupportedVersion)
+        expect(e.txHash).toEqual(txHash)
+        expect(e.operationIndex).toBeUndefined()
+    })
+
+    test('Unexpected operation processing error', () => {
+        const cause = new TypeError('test')
+        const spy = jest.spyOn(EffectsAnalyzer.prototype, 'analyze')
+            .mockImplementationOnce(() => [])
+            .mockImplementationOnce(() => {
+                throw cause
+            })
+        const e = catchError(() => parseTxOperationsMeta({network, tx, result, meta}))
+        spy.mockRestore()
+        expect(e).toBeInstanceOf(TxMetaEffectParserError)
+        expect(e.code).toEqual(errorCodes.unexpectedError)
+        expect(e.operationIndex).toEqual(1)
+        expect(e.txHash).toEqual(txHash)
+        expect(e.cause).toBe(cause)
+    })
+
+    test('Unexpected ledger entry change context', () => {
+        const e = withErrorContext(new UnexpectedTxMetaChangeError({type: 'trustline', action: 'created'}), {operationIndex: 2, action: 'removed'})
+        expect(e.code).toEqual(errorCodes.unexpectedMetaChange)
+        expect(e.entryType).toEqual('trustline')
+        expect(e.action).toEqual('created')
+        expect(e.operationIndex).toEqual(2)
+    })
+})
@@ -0,0 +1,122 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta, parseTxResult, analyzeOperationEffects, validateParsedTx} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+const [, failedTx] = require('./op-effects-data.json').find(([description]) => description === 'failed setOptions')
+
+function readTxResult(result) {
+    return xdr.TransactionResultPair.fromXDR(result, 'base64').result()
+}
+
+describe('Failed operations', () => {
+    test('Parse failed transaction result', () => {
+        const {success, resultCode, opResults} = parseTxResult(readTxResult(failedTx.result))
+        expect(success).toEqual(false)
+        expect(resultCode).toEqual('txFailed')
+        expect(opResults.map(r => r.resultType)).toStrictEqual([
+            'beginSponsoringFutureReservesSuccess',
+            'createAccountLowReserve',
+            'opNoAccount',
+            'opNoAccount'
+        ])
+        expect(opResults.map(r => !!r.failed)).toStrictEqual([false, true, true, true])
+    })
+
+    test('Report failure reasons without processing failed operation effects', () => {
+        const res = parseTxOperationsMeta({...failedTx, network})
+        expect(res.failed).toEqual(true)
+        expect(res.resultCode).toEqual('txFailed')
+        expect(res.operations.map(op => op.resultCode)).toStrictEqual(parseTxResult(readTxResult(failedTx.result)).opResults.map(r => r.resultType))
+        expect(res.operations[0].effects).toStrictEqual([])
+        expect(res.operations[1].effects).toStrictEqual([{
+            type: effectTypes.operationFailed,
+            source: res.operations[1].source,
+            code: 'createAccountLowReserve'
+        }])
+        expect(validateParsedTx(res)).toStrictEqual([])
+    })
+
+    test('Failed operation effects match effects of processed failed operations', () => {
+        const res = parseTxOperationsMeta({...failedTx, network})
+        const processed = parseTxOperationsMeta({...failedTx, network, processFailedOpEffects: true})
+        expect(processed.operations.map(op => op.effects)).toStrictEqual(res.operations.map(op => op.effects))
+    })
+
+    test('Transaction failed before operations execution', () => {
+        const result = readTxResult(failedTx.result)
+        const tooLate = new xdr.TransactionResult({
+            feeCharged: result.feeCharged(),
+            result: xdr.TransactionResultResult.txTooLate(),
+            ext: new xdr.TransactionResultExt(0)
+        })
+        const parsedResult = parseTxResult(tooLate)
+        expect(parsedResult.resultCode).toEqual('txTooLate')
+        expect(parsedResult.opResults).toStrictEqual([])
+
+        const res = parseTxOperationsMeta({...failedTx, result: tooLate.toXDR('base64'), network})
+        expect(res.failed).toEqual(true)
+        expect(res.resultCode).toEqual('txTooLate')
+        for (const operation of res.operations) {
+            expect(operation.resultCode).toBeUndefined()
+            expect(operation.effects).toStrictEqual([])
+        }
+    })
+
+    test('Successful transaction result codes', () => {
+        const [, {tx, result, meta}] = require('./op-effects-data.json')[0]
+        const res = parseTxOperationsMeta({tx, result, meta, network})
+        expect(res.failed).toBeUndefined()
+        expect(res.resultCode).toEqual('txSuccess')
+        for (const operation of res.operations) {
+            expect(operation.resultCode).toMatch(/Success$/)
+            expect(operation.effects.map(e => e.type)).not.toContain(effectTypes.operationFailed)
+        }
+    })
+
+    test('Analyze single failed operation', () => {
+        const parsedTx = TransactionBuilder.fromXDR(failedTx.tx, network)
+        const operation = parsedTx.operations[1]
+        operation.source = operation.source || parsedTx.source
+        const effects = analyzeOperationEffects({
+            network,
+            operation,
+            meta: [],
+            result: readTxResult(failedTx.result).result().results()[1]
+        })
+        expect(effects).toStrictEqual([{type: effectTypes.operationFailed, source: operation.source, code: 'createAccountLowReserve'}])
+    })
+
+    test('Failed inflation operation', () => {
+        const [, {tx}] = require('./op-effects-data.json').find(([description]) => description === 'inflation')
+        const parsedTx = TransactionBuilder.fromXDR(tx, network)
+        const [operation] = parsedTx.operations
+        operation.source = operation.source || parsedTx.source
+        const effects = analyzeOperationEffects({
+            network,
+            operation,
+            meta: [],
+            result: xdr.OperationResult.opInner(xdr.OperationResultTr.inflation(xdr.InflationResult.inflationNotTime()))
+        })
+        expect(effects).toStrictEqual([
+            {type: effectTypes.operationFailed, source: operation.source, code: 'inflationNotTime'},
+            {type: effectTypes.inflation, source: operation.source} //payouts are not available
+        ])
+    })
+
+    test('Inflation operation in failed transaction', () => {
+        const [, inflationTx] = require('./op-effects-data.json').find(([description]) => description === 'inflation')
+        const result = xdr.TransactionResult.fromXDR(inflationTx.result, 'base64')
+        const failedResult = new xdr.TransactionResult({
+            feeCharged: result.feeCharged(),
+            result: xdr.TransactionResultResult.txFailed(result.result().results()),
+            ext: new xdr.TransactionResultExt(0)
+        })
+        const res = parseTxOperationsMeta({...inflationTx, result: failedResult.toXDR('base64'), network, processFailedOpEffects: true})
+        expect(res.failed).toEqual(true)
+        expect(res.operations[0].resultCode).toEqual('inflationSuccess')
+        expect(res.operations[0].effects).toStrictEqual([{type: effectTypes.inflation, source: res.operations[0].source}])
+        expect(validateParsedTx(res)).toStrictEqual([])
+    })
+})
@@ -0,0 +1,46 @@
+const effectTypes = require('../src/effect-types')
+const {decodeFlags, diffFlags, parseTxOperationsMeta} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+describe('Flags', () => {
+    test('Decode flags', () => {
+        expect(decodeFlags('account', 0)).toStrictEqual([])
+        expect(decodeFlags('account', 11)).toStrictEqual(['authRequired', 'authRevocable', 'clawbackEnabled'])
+        expect(decodeFlags('trustline', 6)).toStrictEqual(['authorizedToMaintainLiabilities', 'clawbackEnabled'])
+        expect(decodeFlags('offer', 1)).toStrictEqual(['passive'])
+        expect(decodeFlags('claimableBalance', 1)).toStrictEqual(['clawbackEnabled'])
+        expect(() => decodeFlags('data', 1)).toThrow(/Unsupported flags entry type/)
+    })
+
+    test('Set and cleared flags', () => {
+        expect(diffFlags('trustline', 2, 5)).toStrictEqual({set: ['authorizedToMaintainLiabilities'], cleared: ['authorized', 'clawbackEnabled']})
+        expect(diffFlags('account', 3, 3)).toStrictEqual({set: [], cleared: []})
+    })
+
+    test('Decoded flags in effects', () => {
+        const effects = []
+        for (const [, params] of require('./op-effects-data.json')) {
+            const res = parseTxOperationsMeta({...params, network, processFailedOpEffects: true})
+            effects.push(...res.operations.flatMap(op => op.effects))
+        }
+        const flagEffects = effects.filter(e => e.flags !== undefined)
+        expect(flagEffects.map(e => e.type)).toEqual(expect.arrayContaining([
+            effectTypes.accountFlagsUpdated,
+            effectTypes.trustlineCreated,
+            effectTypes.trustlineAuthorizationUpdated,
+            effectTypes.offerCreated
+        ]))
+        for (const effect of flagEffects) {
+            const entryType = effect.type.startsWith('account') ? 'account' :
+                effect.type.startsWith('offer') ? 'offer' :
+                    effect.type.startsWith('claimableBalance') ? 'claimableBalance' : 'trustline'
+            expect(effect.flagNames).toStrictEqual(decodeFlags(entryType, effect.flags))
+            if (effect.prevFlags !== undefined) {
+                const {set, cleared} = diffFlags(entryType, effect.flags, effect.prevFlags)
+                expect(effect.flagsSet).toStrictEqual(set)
+                expect(effect.flagsCleared).toStrictEqual(cleared)
+            }
+        }
+    })
+})
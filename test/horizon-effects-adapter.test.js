@@ -0,0 +1,118 @@
+const {parseTxOperationsMeta, toHorizonEffects, convertToHorizonEffects, horizonEffectTypes} = require('../src')
+const effectTypes = require('../src/effect-types')
+
+const network = 'Test SDF Future Network ; October 2022'
+const fixtures = require('./op-effects-data.json')
+
+function parseFixture(description) {
+    const [, params] = fixtures.find(([d]) => d.startsWith(description))
+    return parseTxOperationsMeta({network, ...params})
+}
+
+describe('Horizon effects adapter', () => {
+    test('Account creation', () => {
+        const res = parseFixture('create account, set options')
+        const [debited, created, credited] = toHorizonEffects(res, {closeTime: 1700000000})
+        expect(created).toStrictEqual({
+            type: 'account_created',
+            type_i: 0,
+            account: res.operations[0].effects[1].account,
+            starting_balance: '100.0000000',
+            created_at: '2023-11-14T22:13:20Z'
+        })
+        expect(debited.type).toEqual('account_debited')
+        expect(debited.type_i).toEqual(horizonEffectTypes.account_debited)
+        expect(debited.amount).toEqual('100.0000000')
+        expect(debited.asset_type).toEqual('native')
+        expect(credited.type).toEqual('account_credited')
+    })
+
+    test('Trustline flags', () => {
+        const res = parseFixture('create trustline, change limit, authorize trustline')
+        const [flagsUpdated] = toHorizonEffects(res).filter(e => e.type === 'trustline_flags_updated')
+        expect(flagsUpdated).toStrictEqual({
+            type: 'trustline_flags_updated',
+            type_i: 26,
+            account: 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI',
+            trustor: 'GBWCS2C42PQYMDQVBIVUOWDPSM2T3BRJWG2ENQJQU3N75J4CSKJ6DXHN',
+            asset_type: 'credit_alphanum4',
+            asset_code: 'USD',
+            asset_issuer: 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI',
+            authorized_flag: false,
+            authorized_to_maintain_liabilites_flag: true
+        })
+    })
+
+    test('Order book trades reported for both parties', () => {
+        const res = parseFixture('create offer with ManageSellOffer')
+        const [takerTrade, makerTrade] = toHorizonEffects(res).filter(e => e.type === 'trade')
+        expect(takerTrade.account).toEqual(makerTrade.seller)
+        expect(makerTrade.account).toEqual(takerTrade.seller)
+        expect(takerTrade.sold_amount).toEqual(makerTrade.bought_amount)
+        expect(takerTrade.sold_asset_type).toEqual(makerTrade.bought_asset_type)
+        expect(takerTrade.offer_id).toEqual(makerTrade.offer_id)
+    })
+
+    test('Claimable balance claimed and clawed back', () => {
+        const res = parseFixture('claim claimable balance, clawback claimable balance')
+        const records = toHorizonEffects(res)
+        expect(records.find(e => e.type === 'claimable_balance_claimed')).toStrictEqual({
+            type: 'claimable_balance_claimed',
+            type_i: 52,
+            account: 'GBWCS2C42PQYMDQVBIVUOWDPSM2T3BRJWG2ENQJQU3N75J4CSKJ6DXHN',
+            asset: 'native',
+            balance_id: '000000007abaaab818259c315c9cf2d48717c27eb9b33d7294cbc7278348f6ee5d8e6f9d',
+            amount: '100.0000000'
+        })
+        expect(records.find(e => e.type === 'claimable_balance_clawed_back').type_i).toEqual(80)
+    })
+
+    test('Sponsorship updates', () => {
+        const res = parseFixture('update ledger entries sponsorship')
+        const records = toHorizonEffects(res)
+        expect(records.map(e => e.type)).toStrictEqual([
+            'signer_sponsorship_updated',
+            'trustline_sponsorship_updated',
+            'data_sponsorship_updated',
+            'claimable_balance_sponsorship_updated',
+            'trustline_sponsorship_updated', //pool shares trustline, offer sponsorship has no Horizon equivalent
+            'account_sponsorship_updated'
+        ])
+        for (const record of records) {
+            expect(record.former_sponsor).toBeDefined()
+            expect(record.new_sponsor).toBeDefined()
+        }
+        const poolShareSponsorship = res.operations.flatMap(op => op.effects).find(e => e.type === effectTypes.trustlineSponsorshipUpdated && e.pool)
+        expect(records[4].asset_type).toEqual('liquidity_pool')
+        expect(records[4].liquidity_pool_id).toEqual(poolShareSponsorship.pool)
+    })
+
+    test('Liquidity pool deposit', () => {
+        const res = parseFixture('deposit liquidity to the pool')
+        const [deposited] = toHorizonEffects(res).filter(e => e.type === 'liquidity_pool_deposited')
+        expect(deposited.liquidity_pool.id).toEqual(res.operations[1].effects.find(e => e.type === effectTypes.liquidityPoolDeposited).pool)
+        expect(deposited.liquidity_pool.fee_bp).toEqual(30)
+        expect(deposited.reserves_deposited).toStrictEqual([
+            {asset: 'native', amount: '1000.0000000'},
+            {asset: 'USD:GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI', amount: '1000.0000000'}
+        ])
+        expect(deposited.shares_received).toEqual('1000.0000000')
+    })
+
+    test('Effects without Horizon equivalent omitted', () => {
+        const source = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+        expect(convertToHorizonEffects([
+            {type: effectTypes.assetMinted, source, asset: 'XLM', amount: '1'},
+            {type: effectTypes.inflation, source},
+            {type: effectTypes.contractInvoked, source, contract: 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'},
+            {type: effectTypes.accountCredited, source, asset: 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC', amount: '1'},
+            {type: effectTypes.accountDebited, source, asset: 'XLM', amount: '-12345678901'}
+        ])).toStrictEqual([{
+            type: 'account_debited',
+            type_i: 3,
+            account: source,
+            asset_type: 'native',
+            amount: '-1234.5678901'
+        }])
+    })
+})
@@ -0,0 +1,61 @@
+const {parseTxOperationsMeta} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+const fixtures = require('./op-effects-data.json')
+
+function parseFixture(description, params = {}) {
+    const [, fixture] = fixtures.find(([d]) => d.startsWith(description))
+    return parseTxOperationsMeta({network, ...fixture, ...params})
+}
+
+describe('Ledger entry changes', () => {
+    test('Not returned by default', () => {
+        const res = parseFixture('create account, set options')
+        expect(res.changes).toBeUndefined()
+        expect(res.operations[0].changes).toBeUndefined()
+    })
+
+    test('Tx-level and operation changes', () => {
+        const res = parseFixture('create account, set options', {includeLedgerChanges: true})
+        const source = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+        expect(res.changes.length).toEqual(1)
+        const [seqBump] = res.changes
+        expect(seqBump.type).toEqual('account')
+        expect(seqBump.action).toEqual('updated')
+        expect(seqBump.before.sequence).toEqual('171356310208724')
+        expect(seqBump.after.sequence).toEqual('171356310208725')
+
+        const [debit, created] = res.operations[0].changes
+        expect(debit.before.address).toEqual(source)
+        expect(debit.before.balance).toEqual('199984444861')
+        expect(debit.after.balance).toEqual('198984444861')
+        expect(created).toEqual({
+            type: 'account',
+            action: 'created',
+            before: null,
+            after: {
+                entry: 'account',
+                address: 'GBWCS2C42PQYMDQVBIVUOWDPSM2T3BRJWG2ENQJQU3N75J4CSKJ6DXHN',
+                sequence: '3847096696307712',
+                balance: '1000000000',
+                homeDomain: '',
+                flags: 0,
+                signers: [],
+                thresholds: '0,0,0',
+                masterWeight: 1,
+                liabilities: {buying: '0', selling: '0'},
+                modified: 895722
+            }
+        })
+        for (const op of res.operations) {
+            expect(op.changes.length).toBeGreaterThan(0)
+        }
+    })
+
+    test('Effects not affected', () => {
+        const res = parseFixture('create account, set options', {includeLedgerChanges: true})
+        const plain = parseFixture('create account, set options')
+        expect(res.effects).toStrictEqual(plain.effects)
+        expect(res.operations.map(op => op.effects)).toStrictEqual(plain.operations.map(op => op.effects))
+    })
+})
@@ -0,0 +1,113 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const {parseLedgerCloseMeta, parseTxOperationsMeta, encodeEffectId} = require('../src')
+const txEffectsData = require('./tx-effects-data.json')
+
+const network = 'Test SDF Future Network ; October 2022'
+const emptyHash = Buffer.alloc(32)
+
+function buildLedgerHeader() {
+    return new xdr.LedgerHeaderHistoryEntry({
+        hash: emptyHash,
+        header: new xdr.LedgerHeader({
+            ledgerVersion: 21,
+            previousLedgerHash: emptyHash,
+            scpValue: new xdr.StellarValue({
+                txSetHash: emptyHash,
+                closeTime: xdr.TimePoint.fromString('1700000000'),
+                upgrades: [],
+                ext: xdr.StellarValueExt.stellarValueBasic()
+            }),
+            txSetResultHash: emptyHash,
+            bucketListHash: emptyHash,
+            ledgerSeq: 100500,
+            totalCoins: xdr.Int64.fromString('0'),
+            feePool: xdr.Int64.fromString('0'),
+            inflationSeq: 0,
+            idPool: xdr.Uint64.fromString('0'),
+            baseFee: 100,
+            baseReserve: 5000000,
+            maxTxSetSize: 100,
+            skipList: [emptyHash, emptyHash, emptyHash, emptyHash],
+            ext: new xdr.LedgerHeaderExt(0)
+        }),
+        ext: new xdr.LedgerHeaderHistoryEntryExt(0)
+    })
+}
+
+function buildTxResultMeta({tx, result, meta}) {
+    return new xdr.TransactionResultMeta({
+        result: new xdr.TransactionResultPair({
+            transactionHash: TransactionBuilder.fromXDR(tx, network).hash(),
+            result: xdr.TransactionResult.fromXDR(result, 'base64')
+        }),
+        feeProcessing: [],
+        txApplyProcessing: xdr.TransactionMeta.fromXDR(meta, 'base64')
+    })
+}
+
+//apply transactions in the order different from the tx set order
+const txSetData = [txEffectsData[0][1], txEffectsData[1][1]]
+const appliedData = [txSetData[1], txSetData[0]]
+const envelopes = txSetData.map(({tx}) => xdr.TransactionEnvelope.fromXDR(tx, 'base64'))
+
+const testCases = [
+    ['v0', new xdr.LedgerCloseMeta(0, new xdr.LedgerCloseMetaV0({
+        ledgerHeader: buildLedgerHeader(),
+        txSet: new xdr.TransactionSet({previousLedgerHash: emptyHash, txes: envelopes}),
+        txProcessing: appliedData.map(buildTxResultMeta),
+        upgradesProcessing: [],
+        scpInfo: []
+    }))],
+    ['v1', new xdr.LedgerCloseMeta(1, new xdr.LedgerCloseMetaV1({
+        ext: new xdr.LedgerCloseMetaExt(0),
+        ledgerHeader: buildLedgerHeader(),
+        txSet: new xdr.GeneralizedTransactionSet(1, new xdr.TransactionSetV1({
+            previousLedgerHash: emptyHash,
+            phases: [
+                new xdr.TransactionPhase(0, [
+                    xdr.TxSetComponent.txsetCompTxsMaybeDiscountedFee(new xdr.TxSetComponentTxsMaybeDiscountedFee({
+                        baseFee: null,
+                        txes: envelopes
+                    }))
+                ])
+            ]
+        })),
+        txProcessing: appliedData.map(buildTxResultMeta),
+        upgradesProcessing: [],
+        scpInfo: [],
+        totalByteSizeOfLiveSorobanState: xdr.Uint64.fromString('0'),
+        evictedKeys: [],
+        unused: []
+    }))]
+]
+
+describe('parseLedgerCloseMeta()', () => {
+    test.each(testCases)('LedgerCloseMeta %s', (description, ledgerCloseMeta) => {
+        const res = parseLedgerCloseMeta({network, ledgerCloseMeta: ledgerCloseMeta.toXDR('base64')})
+
+        expect(res.sequence).toEqual(100500)
+        expect(res.closeTime).toEqual(1700000000)
+        expect(res.protocol).toEqual(21)
+        expect(res.transactions.length).toEqual(2)
+        for (let i = 0; i < appliedData.length; i++) {
+            const {tx, result, meta, expected} = appliedData[i]
+            const parsed = res.transactions[i]
+            expect(parsed.applicationOrder).toEqual(i + 1)
+            expect(parsed.hash).toEqual(TransactionBuilder.fromXDR(tx, network).hash().toString('hex'))
+            expect(parsed.effects).toStrictEqual(expected.map((effect, j) => ({...effect, id: encodeEffectId(100500, i + 1, null, j)})))
+            const single = parseTxOperationsMeta({network, tx, result, meta, ledgerSequence: 100500, applicationOrder: i + 1})
+            expect(parsed.operations.map(op => op.effects)).toStrictEqual(single.operations.map(op => op.effects))
+        }
+    })
+
+    test('Transaction missing from the tx set', () => {
+        const ledgerCloseMeta = new xdr.LedgerCloseMeta(0, new xdr.LedgerCloseMetaV0({
+            ledgerHeader: buildLedgerHeader(),
+            txSet: new xdr.TransactionSet({previousLedgerHash: emptyHash, txes: envelopes.slice(1)}),
+            txProcessing: appliedData.map(buildTxResultMeta),
+            upgradesProcessing: [],
+            scpInfo: []
+        }))
+        expect(() => parseLedgerCloseMeta({network, ledgerCloseMeta})).toThrow(/not found in the ledger transaction set/)
+    })
+})
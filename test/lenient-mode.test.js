@@ -0,0 +1,105 @@
+const {xdr} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, parseLedgerEntryChanges, errorCodes} = require('../src')
+const {EffectsAnalyzer} = require('../src/effects-analyzer')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+function mockFailingTrustlineProcessing() {
+    return jest.spyOn(EffectsAnalyzer.prototype, 'processTrustlineEffectsChanges')
+        .mockImplementationOnce(() => {
+            throw new TypeError('test')
+        })
+}
+
+describe('Lenient parsing mode', () => {
+    const [, {tx, result, meta, expected}] = require('./op-effects-data.json')
+        .find(([description]) => description.startsWith('create trustline, change limit'))
+
+    test('Strict mode throws on processing errors', () => {
+        const spy = mockFailingTrustlineProcessing()
+        expect(() => parseTxOperationsMeta({network, tx, result, meta})).toThrow('test')
+        spy.mockRestore()
+    })
+
+    test('Offending changes skipped and reported as warnings', () => {
+        const spy = mockFailingTrustlineProcessing()
+        const res = parseTxOperationsMeta({network, tx, result, meta, strict: false})
+        spy.mockRestore()
+        expect(res.operations[0].effects).toStrictEqual([])
+        expect(res.operations[0].warnings).toStrictEqual([{
+            skipped: 'ledgerEntryChange',
+            code: errorCodes.unexpectedError,
+            message: 'Transaction metadata processing error. test',
+            entryType: 'trustline',
+            action: 'created'
+        }])
+        for (let i = 1; i < res.operations.length; i++) {
+            expect(res.operations[i].effects).toStrictEqual(expected[i])
+            expect(res.operations[i].warnings).toBeUndefined()
+        }
+        expect(res.warnings).toBeUndefined()
+    })
+
+    test('Malformed ledger entry changes skipped', () => {
+        const [, {meta}] = require('./soroban-op-effects-data.json').find(([description]) => description === 'Contract uploaded with TTL')
+        const entries = xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0].changes().map(change => change.value())
+        const ttlEntry = entries.find(entry => entry.data().arm() === 'ttl')
+        const changes = [
+            //removed entry without preceding state
+            xdr.LedgerEntryChange.ledgerEntryRemoved(xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({hash: Buffer.alloc(32)}))),
+            xdr.LedgerEntryChange.ledgerEntryCreated(ttlEntry)
+        ]
+        expect(() => parseLedgerEntryChanges(changes)).toThrow()
+
+        const errors = []
+        const parsed = parseLedgerEntryChanges(changes, e => errors.push(e))
+        expect(parsed.length).toEqual(1)
+        expect(parsed[0].type).toEqual('ttl')
+        expect(errors.length).toEqual(1)
+        expect(errors[0].code).toEqual(errorCodes.unexpectedError)
+        expect(errors[0].action).toEqual('removed')
+    })
+
+    test('Only paired change skipped after malformed state', () => {
+        const [, {meta: sorobanMeta}] = require('./soroban-op-effects-data.json').find(([description]) => description === 'Contract uploaded with TTL')
+        const ttlEntry = xdr.TransactionMeta.fromXDR(sorobanMeta, 'base64').value().operations()[0].changes()
+            .map(change => change.value())
+            .find(entry => entry.data().arm() === 'ttl')
+        const accountChanges = xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0].changes()
+        const stateIndex = accountChanges.findIndex(change => change.arm() === 'state' && change.value().data().arm() === 'account')
+        const malformedState = xdr.LedgerEntryChange.fromXDR(accountChanges[stateIndex].toXDR())
+        malformedState.value().data().value().inflationDest('invalid')
+        //paired update of the same entry
+        let errors = []
+        expect(parseLedgerEntryChanges([malformedState, accountChanges[stateIndex + 1]], e => errors.push(e))).toStrictEqual([])
+        expect(errors.length).toEqual(1)
+        expect(errors[0].entryType).toEqual('account')
+        expect(errors[0].action).toEqual('state')
+        //unrelated change
+        errors = []
+        const parsed = parseLedgerEntryChanges([malformedState, xdr.LedgerEntryChange.ledgerEntryCreated(ttlEntry)], e => errors.push(e))
+        expect(parsed.length).toEqual(1)
+        expect(parsed[0].type).toEqual('ttl')
+        expect(errors.length).toEqual(1)
+    })
+
+    test('Parsed entry type reported in error context', () => {
+        const trustline = new xdr.LedgerEntry({
+            lastModifiedLedgerSeq: 1,
+            data: xdr.LedgerEntryData.trustline(new xdr.TrustLineEntry({
+                accountId: 'invalid',
+                asset: xdr.TrustLineAsset.assetTypeNative(),
+                balance: xdr.Int64.fromString('0'),
+                limit: xdr.Int64.fromString('0'),
+                flags: 0,
+                ext: new xdr.TrustLineEntryExt(0)
+            })),
+            ext: new xdr.LedgerEntryExt(0)
+        })
+        const errors = []
+        expect(parseLedgerEntryChanges([xdr.LedgerEntryChange.ledgerEntryCreated(trustline)], e => errors.push(e))).toStrictEqual([])
+        expect(errors.length).toEqual(1)
+        expect(errors[0].entryType).toEqual('trustline')
+        expect(errors[0].cause).toBeInstanceOf(TypeError)
+    })
+})
@@ -0,0 +1,49 @@
+const {Account, MuxedAccount, TransactionBuilder, Operation, Asset, Keypair} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta, validateParsedTx, toHorizonEffects} = require('../src')
+const {processFeeChargedEffect} = require('../src/effects-analyzer')
+
+const network = 'Test SDF Future Network ; October 2022'
+const [, muxedTx] = require('./op-effects-data.json').find(([description]) => description === 'muxed accounts')
+
+describe('Muxed accounts', () => {
+    test('Balance changes of muxed operation source and destination', () => {
+        const res = parseTxOperationsMeta({...muxedTx, network})
+        const [operation] = res.operations
+        expect(operation.source[0]).toEqual('M')
+        expect(operation.destination[0]).toEqual('M')
+        const debited = operation.effects.find(e => e.type === effectTypes.accountDebited)
+        const credited = operation.effects.find(e => e.type === effectTypes.accountCredited)
+        expect(debited.source[0]).toEqual('G')
+        expect(debited.muxed).toEqual(operation.source)
+        expect(debited.muxedId).toEqual(MuxedAccount.fromAddress(operation.source, '0').id())
+        expect(credited.source[0]).toEqual('G')
+        expect(credited.muxed).toEqual(operation.destination)
+        expect(credited.muxedId).toEqual(MuxedAccount.fromAddress(operation.destination, '0').id())
+        expect(validateParsedTx(res)).toStrictEqual([])
+        const record = toHorizonEffects(res).find(r => r.type === 'account_credited')
+        expect(record.account).toEqual(credited.source)
+        expect(record.account_muxed).toEqual(credited.muxed)
+        expect(record.account_muxed_id).toEqual(credited.muxedId)
+    })
+
+    test('Fee charged from muxed account', () => {
+        const keypair = Keypair.random()
+        const muxed = new MuxedAccount(new Account(keypair.publicKey(), '1'), '42')
+        const tx = new TransactionBuilder(muxed, {fee: '100', networkPassphrase: network})
+            .addOperation(Operation.payment({destination: keypair.publicKey(), asset: Asset.native(), amount: '1'}))
+            .setTimeout(0)
+            .build()
+        const expected = {
+            type: effectTypes.feeCharged,
+            source: keypair.publicKey(),
+            asset: 'XLM',
+            bid: '100',
+            charged: '90',
+            muxed: muxed.accountId(),
+            muxedId: '42'
+        }
+        expect(processFeeChargedEffect(tx, tx.source, '90')).toStrictEqual(expected)
+        expect(processFeeChargedEffect(tx.toEnvelope(), muxed.accountId(), '90')).toStrictEqual(expected)
+    })
+})
@@ -0,0 +1,62 @@
+const {Networks} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta} = require('../src')
+
+function resolveNetwork(network) {
+    if (!network)
+        return 'Test SDF Future Network ; October 2022'
+    if (network.includes(' '))
+        return network
+    return Networks[network.toUpperCase()]
+}
+
+const sum = values => values.reduce((total, v) => total + BigInt(v), 0n).toString()
+
+const pathPayments = []
+for (const [description, params] of require('./op-effects-data.json')) {
+    const res = parseTxOperationsMeta({...params, network: resolveNetwork(params.network)})
+    for (const operation of res.operations) {
+        const summary = operation.effects.find(e => e.type === effectTypes.pathPayment)
+        if (summary) {
+            pathPayments.push([description, operation, summary])
+        }
+    }
+}
+
+describe('Path payment summary', () => {
+    test('Path payments found in fixtures', () => {
+        expect(pathPayments.length).toBeGreaterThan(3)
+    })
+
+    test.each(pathPayments)('Hops and trades are consistent - %s', (description, operation, summary) => {
+        const {hops, asset, amount} = summary
+        expect(summary.destination).toEqual(operation.destination)
+        expect(operation.type).toMatch(/^pathPaymentStrict/)
+        if (!hops.length) {
+            expect(asset[0]).toEqual(asset[1])
+            expect(amount[0]).toEqual(amount[1])
+            return
+        }
+        //hops form a chain from the source asset to the destination asset
+        expect(hops[0].asset[0]).toEqual(asset[0])
+        expect(hops[hops.length - 1].asset[1]).toEqual(asset[1])
+        expect(hops[0].amount[0]).toEqual(amount[0])
+        expect(hops[hops.length - 1].amount[1]).toEqual(amount[1])
+        for (let i = 0; i < hops.length; i++) {
+            const hop = hops[i]
+            if (i > 0) {
+                expect(hop.asset[0]).toEqual(hops[i - 1].asset[1])
+                expect(hop.amount[0]).toEqual(hops[i - 1].amount[1])
+            }
+            expect(hop.amount[0]).toEqual(sum(hop.trades.map(t => t.amount[0])))
+            expect(hop.amount[1]).toEqual(sum(hop.trades.map(t => t.amount[1])))
+        }
+        //every trade effect is attributed to a hop in the execution order
+        const trades = operation.effects.filter(e => e.type === effectTypes.trade)
+        expect(hops.flatMap(hop => hop.trades)).toStrictEqual(trades.map(({amount, offer, seller, pool}) => {
+            const res = pool ? {pool} : {offer, seller}
+            res.amount = [amount[1], amount[0]]
+            return res
+        }))
+    })
+})
@@ -0,0 +1,104 @@
+const {TransactionBuilder, xdr} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta, analyzeOperationEffects} = require('../src')
+const {formatPrice, calculateTradePrice} = require('../src/parser/tx-xdr-parser-utils')
+const {parseRawOpResult} = require('../src/parser/tx-result-parser')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+const [, dexTx] = require('./op-effects-data.json')
+    .find(([description]) => description.startsWith('create offer with ManageSellOffer'))
+
+function collectPrices(priceFormat) {
+    const {operations} = parseTxOperationsMeta({...dexTx, network, priceFormat, validate: true})
+    return operations.flatMap(op => op.effects)
+        .filter(e => e.price !== undefined)
+        .map(({type, price}) => ({type, price}))
+}
+
+describe('Price formats', () => {
+    test('Format price', () => {
+        expect(formatPrice(1, 3)).toBe(1 / 3)
+        expect(formatPrice(1, 3, 'rational')).toStrictEqual({n: '1', d: '3'})
+        expect(formatPrice(1, 3, 'decimal')).toBe('0.3333333')
+        expect(formatPrice(2, 3, 'decimal')).toBe('0.6666667')
+        expect(formatPrice(2147483647, 1, 'decimal')).toBe('2147483647.0000000')
+        expect(formatPrice('99', '100', 'decimal')).toBe('0.9900000')
+        expect(() => formatPrice(1, 2, 'float')).toThrow(/Unsupported price format/)
+    })
+
+    test('Calculate trade execution price', () => {
+        expect(calculateTradePrice(['1000000000', '20000000000'])).toBe(20)
+        expect(calculateTradePrice(['1000000000', '20000000000'], 'rational')).toStrictEqual({n: '20', d: '1'})
+        expect(calculateTradePrice(['9223372036854775806', '9223372036854775807'], 'rational'))
+            .toStrictEqual({n: '9223372036854775807', d: '9223372036854775806'})
+        expect(calculateTradePrice(['300', '100'], 'decimal')).toBe('0.3333333')
+        expect(calculateTradePrice(['0', '0'])).toBeUndefined()
+    })
+
+    test('Offer and trade effects in all formats', () => {
+        const numbers = collectPrices()
+        const rationals = collectPrices('rational')
+        const decimals = collectPrices('decimal')
+        expect(numbers.map(e => e.type)).toContain(effectTypes.offerCreated)
+        expect(numbers.map(e => e.type)).toContain(effectTypes.trade)
+        expect(rationals.map(e => e.type)).toStrictEqual(numbers.map(e => e.type))
+        for (let i = 0; i < numbers.length; i++) {
+            const {n, d} = rationals[i].price
+            expect(Number(n) / Number(d)).toBe(numbers[i].price)
+            expect(decimals[i].price).toBe(formatPrice(n, d, 'decimal'))
+        }
+    })
+
+    test('Maker offer price in operation result', () => {
+        const opResults = xdr.TransactionResult.fromXDR(dexTx.result, 'base64').result().results()
+        const {n, d} = parseRawOpResult(opResults[0], 'rational').makerOffer.price
+        expect(parseRawOpResult(opResults[0]).makerOffer.price).toBe(Number(n) / Number(d))
+        expect(parseRawOpResult(opResults[0], 'decimal').makerOffer.price).toBe(formatPrice(n, d, 'decimal'))
+    })
+
+    test('Offer ledger entry price', () => {
+        const offerPrices = priceFormat => parseTxOperationsMeta({...dexTx, network, priceFormat, includeLedgerChanges: true})
+            .operations.flatMap(op => op.changes)
+            .filter(change => change.type === 'offer')
+            .map(change => (change.after || change.before).price)
+        const rationals = offerPrices('rational')
+        expect(rationals.length).toBeGreaterThan(0)
+        expect(offerPrices()).toStrictEqual(rationals.map(({n, d}) => Number(n) / Number(d)))
+        expect(offerPrices('decimal')).toStrictEqual(rationals.map(({n, d}) => formatPrice(n, d, 'decimal')))
+    })
+
+    test('Offer price change indistinguishable in decimal format', () => {
+        const parsedTx = TransactionBuilder.fromXDR(dexTx.tx, network)
+        const operation = parsedTx.operations[0]
+        operation.source = operation.source || parsedTx.source
+        const offerEntry = xdr.TransactionMeta.fromXDR(dexTx.meta, 'base64').value().operations()[0].changes()
+            .map(change => change.value())
+            .find(entry => entry.data?.().arm() === 'offer')
+        const withPrice = (n, d) => {
+            const entry = xdr.LedgerEntry.fromXDR(offerEntry.toXDR())
+            entry.data().value().price(new xdr.Price({n, d}))
+            return entry
+        }
+        //both prices are rounded to 0.3333333
+        expect(formatPrice(1, 3, 'decimal')).toBe(formatPrice(3333333, 10000000, 'decimal'))
+        const meta = [
+            xdr.LedgerEntryChange.ledgerEntryState(withPrice(1, 3)),
+            xdr.LedgerEntryChange.ledgerEntryUpdated(withPrice(3333333, 10000000))
+        ]
+        for (const priceFormat of ['number', 'rational', 'decimal']) {
+            const updated = analyzeOperationEffects({network, operation, meta, result: {claimedOffers: []}, priceFormat})
+                .filter(e => e.type === effectTypes.offerUpdated)
+            expect(updated.length).toEqual(1)
+            expect(updated[0].price).toStrictEqual(formatPrice(3333333, 10000000, priceFormat))
+        }
+        //unchanged offer is skipped
+        const unchanged = [xdr.LedgerEntryChange.ledgerEntryState(withPrice(1, 3)), xdr.LedgerEntryChange.ledgerEntryUpdated(withPrice(2, 6))]
+        expect(analyzeOperationEffects({network, operation, meta: unchanged, result: {claimedOffers: []}, priceFormat: 'decimal'})
+            .filter(e => e.type === effectTypes.offerUpdated)).toStrictEqual([])
+    })
+
+    test('Unsupported price format', () => {
+        expect(() => parseTxOperationsMeta({...dexTx, network, priceFormat: 'float'})).toThrow(/Unsupported price format/)
+    })
+})
@@ -0,0 +1,139 @@
+const {TransactionBuilder, Account, Keypair, Operation, Asset, StrKey, Networks, hash, xdr} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, analyzeSignatures} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+const source = Keypair.fromRawEd25519Seed(Buffer.alloc(32, 1))
+const cosigner = Keypair.fromRawEd25519Seed(Buffer.alloc(32, 2))
+const issuer = Keypair.fromRawEd25519Seed(Buffer.alloc(32, 3))
+const preimage = Buffer.from('secret preimage')
+const hashXSigner = StrKey.encodeSha256Hash(hash(preimage))
+
+function buildTx() {
+    return new TransactionBuilder(new Account(source.publicKey(), '100'), {fee: '100', networkPassphrase: network})
+        .addOperation(Operation.payment({destination: issuer.publicKey(), asset: Asset.native(), amount: '1'}))
+        .addOperation(Operation.setOptions({source: issuer.publicKey(), homeDomain: 'example.com'}))
+        .addOperation(Operation.setOptions({source: issuer.publicKey(), masterWeight: 10}))
+        .setTimeout(0)
+        .build()
+}
+
+function createSnapshot(keypair, thresholds, masterWeight, signers = []) {
+    return {entry: 'account', address: keypair.publicKey(), thresholds, masterWeight, signers}
+}
+
+describe('Signature analysis', () => {
+    test('Multisig weights and thresholds', () => {
+        const tx = buildTx()
+        tx.sign(source, cosigner)
+        tx.signHashX(preimage)
+        const res = analyzeSignatures(parseTxOperationsMeta({network, tx: tx.toXDR()}), [
+            createSnapshot(source, '1,2,3', 1, [{key: cosigner.publicKey(), weight: 1}]),
+            createSnapshot(issuer, '1,5,10', 0, [{key: hashXSigner, weight: 5}, {key: cosigner.publicKey(), weight: 2}])
+        ])
+        expect(res.signatures.map(s => s.signer)).toStrictEqual([source.publicKey(), cosigner.publicKey(), hashXSigner])
+        expect(res.accounts).toStrictEqual([
+            {
+                account: source.publicKey(),
+                operations: [0],
+                requiredThreshold: 'medium',
+                txSource: true,
+                signers: [source.publicKey(), cosigner.publicKey()],
+                thresholds: {low: 1, medium: 2, high: 3},
+                weight: 2,
+                authorized: true
+            },
+            {
+                account: issuer.publicKey(),
+                operations: [1, 2],
+                requiredThreshold: 'high',
+                signers: [hashXSigner, cosigner.publicKey()],
+                thresholds: {low: 1, medium: 5, high: 10},
+                weight: 7,
+                authorized: false
+            }
+        ])
+        expect(res.consumedPreimages).toStrictEqual([{signer: hashXSigner, preimage: preimage.toString('hex')}])
+        expect(res.consumedPreAuthTx).toStrictEqual([])
+    })
+
+    test('Pre-authorized transaction and signed payload signers', () => {
+        const tx = buildTx()
+        const preAuthSigner = StrKey.encodePreAuthTx(tx.hash())
+        const payload = Buffer.from('payload')
+        const signedPayloadSigner = StrKey.encodeSignedPayload(new xdr.SignerKeyEd25519SignedPayload({
+            ed25519: cosigner.rawPublicKey(),
+            payload
+        }).toXDR())
+        tx.addDecoratedSignature(cosigner.signPayloadDecorated(payload))
+        const res = analyzeSignatures(parseTxOperationsMeta({network, tx: tx.toXDR()}), [
+            createSnapshot(source, '0,0,0', 0, [{key: preAuthSigner, weight: 1}]),
+            createSnapshot(issuer, '0,0,0', 1, [{key: signedPayloadSigner, weight: 1}])
+        ])
+        expect(res.signatures.map(s => s.signer)).toStrictEqual([signedPayloadSigner])
+        expect(res.accounts.map(({signers, authorized}) => ({signers, authorized}))).toStrictEqual([
+            {signers: [preAuthSigner], authorized: true},
+            {signers: [signedPayloadSigner], authorized: true}
+        ])
+        expect(res.consumedPreAuthTx).toStrictEqual([preAuthSigner])
+    })
+
+    test('Signed payload signature with non-matching hint', () => {
+        const tx = buildTx()
+        const payload = Buffer.from('payload')
+        const signedPayloadSigner = StrKey.encodeSignedPayload(new xdr.SignerKeyEd25519SignedPayload({
+            ed25519: cosigner.rawPublicKey(),
+            payload
+        }).toXDR())
+        const decorated = cosigner.signPayloadDecorated(payload)
+        tx.signatures.push(new xdr.DecoratedSignature({hint: cosigner.signatureHint(), signature: decorated.signature()}))
+        const res = analyzeSignatures(parseTxOperationsMeta({network, tx: tx.toXDR()}), [
+            createSnapshot(source, '0,0,0', 1),
+            createSnapshot(issuer, '0,0,0', 0, [{key: signedPayloadSigner, weight: 1}])
+        ])
+        expect(res.signatures[0].signer).toBeUndefined()
+        expect(res.accounts[1].signers).toStrictEqual([])
+        expect(res.accounts[1].authorized).toEqual(false)
+    })
+
+    test('Unknown signers and accounts without snapshots', () => {
+        const tx = buildTx()
+        tx.sign(Keypair.fromRawEd25519Seed(Buffer.alloc(32, 4)), issuer)
+        const res = analyzeSignatures(parseTxOperationsMeta({network, tx: tx.toXDR()}), [])
+        expect(res.signatures[0].signer).toBeUndefined()
+        expect(res.signatures[1].signer).toEqual(issuer.publicKey())
+        expect(res.accounts).toStrictEqual([
+            {account: source.publicKey(), operations: [0], requiredThreshold: 'medium', txSource: true, signers: []},
+            {account: issuer.publicKey(), operations: [1, 2], requiredThreshold: 'high', signers: [issuer.publicKey()]}
+        ])
+    })
+
+    test('Fee bump transaction', () => {
+        const inner = buildTx()
+        inner.sign(source, issuer)
+        const feeBump = TransactionBuilder.buildFeeBumpTransaction(cosigner, '1000', inner, network)
+        feeBump.sign(cosigner)
+        const res = analyzeSignatures(parseTxOperationsMeta({network, tx: feeBump.toXDR()}), [])
+        expect(res.signatures.map(s => [s.signer, !!s.feeBump])).toStrictEqual([
+            [source.publicKey(), false],
+            [issuer.publicKey(), false],
+            [cosigner.publicKey(), true]
+        ])
+        expect(res.accounts[2]).toStrictEqual({
+            account: cosigner.publicKey(),
+            operations: [],
+            requiredThreshold: 'low',
+            feeSource: true,
+            signers: [cosigner.publicKey()]
+        })
+    })
+
+    test('Account snapshots from ledger changes', () => {
+        const [, params] = require('./op-effects-data.json').find(([description]) => description === 'merge account')
+        const res = analyzeSignatures(parseTxOperationsMeta({...params, network: Networks.TESTNET, includeLedgerChanges: true}))
+        expect(res.signatures.every(s => !!s.signer)).toEqual(true)
+        for (const account of res.accounts) {
+            expect(account.authorized).toEqual(true)
+        }
+    })
+})
@@ -0,0 +1,136 @@
+const {xdr, Address, TransactionBuilder} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta, errorCodes, disposeSacCache} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+const fixtures = require('./soroban-op-effects-data.json')
+
+//effects that can be predicted without ledger entry changes
+const predictableEffects = new Set([
+    effectTypes.contractInvoked,
+    effectTypes.contractEvent,
+    effectTypes.contractError,
+    effectTypes.accountDebited,
+    effectTypes.accountCredited,
+    effectTypes.assetMinted,
+    effectTypes.assetBurned
+])
+
+/**
+ * Build simulateTransaction-like response from the transaction execution meta
+ * @param {String} meta
+ * @return {{}}
+ */
+function buildSimulationResult(meta) {
+    const sorobanMeta = xdr.TransactionMeta.fromXDR(meta, 'base64').value().sorobanMeta()
+    return {
+        events: sorobanMeta.diagnosticEvents().map(evt => evt.toXDR('base64')),
+        results: [{
+            auth: [],
+            xdr: sorobanMeta.returnValue().toXDR('base64')
+        }],
+        latestLedger: 1000
+    }
+}
+
+describe('Simulated effects', () => {
+    test.each(['Custom token: transfer', 'Custom token: mint', 'Custom token: burn', 'Custom token: approve'])('Predict effects - %s', description => {
+        const [, {tx, meta, expected}] = fixtures.find(([d]) => d === description)
+        const res = parseTxOperationsMeta({
+            network,
+            tx,
+            simulation: buildSimulationResult(meta),
+            mapSac: true,
+            processMetrics: false
+        })
+        expect(res.isEphemeral).toEqual(true)
+        expect(res.simulated).toEqual(true)
+        const [operation] = res.operations
+        for (const effect of operation.effects) {
+            expect(effect.simulated).toEqual(true)
+        }
+        expect(operation.effects.map(({simulated, ...effect}) => effect))
+            .toStrictEqual(expected[0].filter(e => predictableEffects.has(e.type)))
+    })
+
+    test('Return value attached without diagnostic events', () => {
+        const [, {tx, meta}] = fixtures.find(([d]) => d === 'Custom token: transfer')
+        const simulation = buildSimulationResult(meta)
+        simulation.events = []
+        simulation.results[0].xdr = xdr.ScVal.scvU32(1).toXDR('base64')
+        const [operation] = parseTxOperationsMeta({network, tx, simulation}).operations
+        expect(operation.effects.length).toEqual(1)
+        expect(operation.effects[0].type).toEqual(effectTypes.contractInvoked)
+        expect(operation.effects[0].result).toEqual(simulation.results[0].xdr)
+        expect(operation.effects[0].simulated).toEqual(true)
+    })
+
+    test('Failed simulation', () => {
+        const [, {tx}] = fixtures.find(([d]) => d === 'Custom token: transfer')
+        const res = parseTxOperationsMeta({network, tx, simulation: {error: 'HostError: Error(Contract, #10)', events: []}})
+        expect(res.failed).toEqual(true)
+        expect(res.operations[0].effects).toStrictEqual([])
+    })
+
+    test('Non-Soroban transaction', () => {
+        const [, {tx}] = require('./op-effects-data.json')[0]
+        expect(() => parseTxOperationsMeta({network, tx, simulation: {events: []}}))
+            .toThrow(expect.objectContaining({code: errorCodes.unsupportedTransaction}))
+    })
+
+    test('Authorization requirements and footprint', () => {
+        const [, {tx, meta}] = fixtures.find(([d]) => d === 'Custom token: transfer')
+        const parsedTx = TransactionBuilder.fromXDR(tx, network)
+        const sorobanData = parsedTx.toEnvelope().v1().tx().ext().sorobanData()
+        const invokeArgs = parsedTx.operations[0].func.invokeContract()
+        const contract = Address.fromScAddress(invokeArgs.contractAddress()).toString()
+        const fn = invokeArgs.functionName().toString()
+        const invocation = new xdr.SorobanAuthorizedInvocation({
+            function: xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(invokeArgs),
+            subInvocations: []
+        })
+        const signer = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+        const auth = [
+            new xdr.SorobanAuthorizationEntry({
+                credentials: xdr.SorobanCredentials.sorobanCredentialsSourceAccount(),
+                rootInvocation: invocation
+            }),
+            new xdr.SorobanAuthorizationEntry({
+                credentials: xdr.SorobanCredentials.sorobanCredentialsAddress(new xdr.SorobanAddressCredentials({
+                    address: Address.fromString(signer).toScAddress(),
+                    nonce: xdr.Int64.fromString('12345'),
+                    signatureExpirationLedger: 1100,
+                    signature: xdr.ScVal.scvVoid()
+                })),
+                rootInvocation: invocation
+            })
+        ]
+        const simulation = buildSimulationResult(meta)
+        simulation.results[0].auth = auth.map(entry => entry.toXDR('base64'))
+        simulation.transactionData = sorobanData.toXDR('base64')
+        const res = parseTxOperationsMeta({network, tx, simulation, mapSac: true, processMetrics: false})
+        expect(res.simulation).toStrictEqual({
+            auth: [
+                {address: parsedTx.source, credentials: 'sourceAccount', contract, function: fn, raw: simulation.results[0].auth[0]},
+                {
+                    address: signer,
+                    credentials: 'address',
+                    nonce: '12345',
+                    expirationLedger: 1100,
+                    contract,
+                    function: fn,
+                    raw: simulation.results[0].auth[1]
+                }
+            ],
+            footprint: {
+                readOnly: sorobanData.resources().footprint().readOnly().map(key => key.toXDR('base64')),
+                readWrite: sorobanData.resources().footprint().readWrite().map(key => key.toXDR('base64'))
+            }
+        })
+        expect(res.simulation.footprint.readWrite.length).toBeGreaterThan(0)
+    })
+
+    afterAll(() => {
+        disposeSacCache()
+    })
+})
@@ -0,0 +1,176 @@
+const {Networks, StrKey, xdr, nativeToScVal} = require('@stellar/stellar-base')
+const effectTypes = require('../src/effect-types')
+const {parseTxOperationsMeta, parseLedgerEntryChanges, disposeSacCache} = require('../src')
+
+function resolveNetwork(network) {
+    if (!network)
+        return 'Test SDF Future Network ; October 2022' //futurenet by default
+    if (network.includes(' '))
+        return network
+    return Networks[network.toUpperCase()] //predefined
+}
+
+/**
+ * Repack v1-v3 transaction meta into v4 format (protocol 23)
+ * @param {String} meta - Base64-encoded TransactionMeta
+ * @param {xdr.ContractEvent[]} [opEvents] - Extra events to attach to the first operation
+ * @param {xdr.TransactionEvent[]} [txEvents] - Tx-level events
+ * @return {xdr.TransactionMeta}
+ */
+function convertToMetaV4(meta, opEvents = [], txEvents = []) {
+    meta = xdr.TransactionMeta.fromXDR(meta, 'base64')
+    const value = meta.value()
+    const sorobanMeta = meta.arm() === 'v3' ? value.sorobanMeta() : null
+    const operations = value.operations().map((op, i) => new xdr.OperationMetaV2({
+        ext: new xdr.ExtensionPoint(0),
+        changes: op.changes(),
+        events: i === 0 ? (sorobanMeta ? sorobanMeta.events() : opEvents) : []
+    }))
+    return new xdr.TransactionMeta(4, new xdr.TransactionMetaV4({
+        ext: new xdr.ExtensionPoint(0),
+        txChangesBefore: meta.arm() === 'v1' ? value.txChanges() : value.txChangesBefore(),
+        operations,
+        txChangesAfter: meta.arm() === 'v1' ? [] : value.txChangesAfter(),
+        sorobanMeta: sorobanMeta && new xdr.SorobanTransactionMetaV2({
+            ext: sorobanMeta.ext(),
+            returnValue: sorobanMeta.returnValue()
+        }),
+        events: txEvents,
+        diagnosticEvents: sorobanMeta ? sorobanMeta.diagnosticEvents() : []
+    }))
+}
+
+function buildContractEvent(contract, topics, data) {
+    return new xdr.ContractEvent({
+        ext: new xdr.ExtensionPoint(0),
+        contractId: StrKey.decodeContract(contract),
+        type: xdr.ContractEventType.contract(),
+        body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({
+            topics: topics.map(t => nativeToScVal(t, {type: 'symbol'})),
+            data: nativeToScVal(data, {type: 'i128'})
+        }))
+    })
+}
+
+const sacContract = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'
+
+describe('TransactionMeta v4', () => {
+    test.each(require('./op-effects-data.json'))('Classic operation effects - %s', (description, params) => {
+        const {tx, result, meta, expected, network} = params
+        const res = parseTxOperationsMeta({
+            network: resolveNetwork(network),
+            tx,
+            result,
+            meta: convertToMetaV4(meta),
+            processFailedOpEffects: true
+        })
+
+        for (let i = 0; i < res.operations.length; i++) {
+            expect(res.operations[i].effects).toStrictEqual(expected[i])
+        }
+    })
+
+    test.each(require('./soroban-op-effects-data.json').filter(([, {meta}]) => !!meta))('Soroban effects - %s', (description, params) => {
+        const {tx, result, meta, expected, network} = params
+        const res = parseTxOperationsMeta({
+            network: resolveNetwork(network),
+            tx,
+            result,
+            meta: convertToMetaV4(meta),
+            mapSac: true,
+            processFailedOpEffects: true,
+            processMetrics: false
+        })
+
+        for (let i = 0; i < res.operations.length; i++) {
+            expect(res.operations[i].effects).toStrictEqual(expected[i])
+        }
+    })
+
+    test('Classic operation events and tx-level events', () => {
+        const [, {tx, result, meta, expected}] = require('./op-effects-data.json')[0]
+        const opEvent = buildContractEvent(sacContract, ['transfer'], 100000000000n)
+        const feeEvent = new xdr.TransactionEvent({
+            stage: xdr.TransactionEventStage.transactionEventStageBeforeAllTxes(),
+            event: buildContractEvent(sacContract, ['fee'], 100n)
+        })
+        const res = parseTxOperationsMeta({
+            network: resolveNetwork(),
+            tx,
+            result,
+            meta: convertToMetaV4(meta, [opEvent], [feeEvent]).toXDR('base64')
+        })
+
+        expect(res.effects[1]).toStrictEqual({
+            type: effectTypes.contractEvent,
+            source: res.effects[0].source,
+            contract: sacContract,
+            topics: ['fee'],
+            rawTopics: [nativeToScVal('fee', {type: 'symbol'}).toXDR('base64')],
+            data: '100',
+            rawData: nativeToScVal(100n, {type: 'i128'}).toXDR('base64'),
+            stage: 'beforeAllTxes'
+        })
+        const [mergeEffect, ...balanceEffects] = expected[0]
+        expect(mergeEffect.type).toEqual(effectTypes.accountMerged)
+        expect(res.operations[0].effects).toStrictEqual([
+            mergeEffect,
+            {
+                type: effectTypes.contractEvent,
+                source: res.operations[0].source,
+                contract: sacContract,
+                topics: ['transfer'],
+                rawTopics: [nativeToScVal('transfer', {type: 'symbol'}).toXDR('base64')],
+                data: '100000000000',
+                rawData: nativeToScVal(100000000000n, {type: 'i128'}).toXDR('base64')
+            },
+            ...balanceEffects
+        ])
+    })
+
+    test('Restored ledger entries', () => {
+        const [, {meta}] = require('./soroban-op-effects-data.json').find(([description]) => description === 'Contract write to temp storage')
+        const entries = xdr.TransactionMeta.fromXDR(meta, 'base64').value().operations()[0].changes().map(change => change.value())
+        const dataEntry = entries.find(entry => entry.data().arm() === 'contractData')
+        const ttlEntry = entries.find(entry => entry.data().arm() === 'ttl')
+        //restored entries without further modifications
+        const restored = parseLedgerEntryChanges([
+            xdr.LedgerEntryChange.ledgerEntryRestored(dataEntry),
+            xdr.LedgerEntryChange.ledgerEntryRestored(ttlEntry)
+        ])
+        expect(restored.length).toEqual(1)
+        expect(restored[0].type).toEqual('ttl')
+        expect(restored[0].action).toEqual('restored')
+        expect(restored[0].before).toBeNull()
+        expect(restored[0].after.ttl).toEqual(ttlEntry.data().value().liveUntilLedgerSeq())
+        //restored entry modified afterwards
+        const updated = parseLedgerEntryChanges([
+            xdr.LedgerEntryChange.ledgerEntryRestored(dataEntry),
+            xdr.LedgerEntryChange.ledgerEntryUpdated(dataEntry)
+        ])
+        expect(updated.length).toEqual(1)
+        expect(updated[0].type).toEqual('contractData')
+        expect(updated[0].action).toEqual('updated')
+        expect(updated[0].before).toStrictEqual(updated[0].after)
+        //restored entry followed by the update of another entry
+        const unrelated = parseLedgerEntryChanges([
+            xdr.LedgerEntryChange.ledgerEntryRestored(dataEntry),
+            xdr.LedgerEntryChange.ledgerEntryState(ttlEntry),
+            xdr.LedgerEntryChange.ledgerEntryUpdated(ttlEntry)
+        ])
+        expect(unrelated.length).toEqual(1)
+        expect(unrelated[0].type).toEqual('ttl')
+        expect(unrelated[0].before.entry).toEqual('ttl')
+        const withoutState = parseLedgerEntryChanges([
+            xdr.LedgerEntryChange.ledgerEntryRestored(dataEntry),
+            xdr.LedgerEntryChange.ledgerEntryUpdated(ttlEntry)
+        ])
+        expect(withoutState.length).toEqual(1)
+        expect(withoutState[0].type).toEqual('ttl')
+        expect(withoutState[0].before).toBeUndefined() //no preceding state of the updated entry
+    })
+
+    afterAll(() => {
+        disposeSacCache()
+    })
+})
@@ -0,0 +1,71 @@
+const {TransactionBuilder, Account, Keypair, Memo, Operation, Asset, StrKey, xdr} = require('@stellar/stellar-base')
+const {parseTxOperationsMeta, parseTxPreconditions, parseTxMemo} = require('../src')
+
+const network = 'Test SDF Future Network ; October 2022'
+
+const source = Keypair.fromRawEd25519Seed(Buffer.alloc(32, 7))
+const destination = 'GBKPPENSICLMFZAVETYMHH5YDWSBREYPGYUST7XFLWOGIPIAWDNKYDLI'
+
+function buildTx(configure) {
+    const builder = new TransactionBuilder(new Account(source.publicKey(), '100'), {fee: '100', networkPassphrase: network})
+        .addOperation(Operation.payment({destination, asset: Asset.native(), amount: '1'}))
+    configure(builder)
+    return builder.build()
+}
+
+describe('Transaction preconditions and memo', () => {
+    test('All preconditions', () => {
+        const extraSigner = StrKey.encodeSha256Hash(Buffer.alloc(32, 1))
+        const tx = buildTx(builder => builder
+            .setTimebounds(1700000000, 1700003600)
+            .setLedgerbounds(100, 0)
+            .setMinAccountSequence('90')
+            .setMinAccountSequenceAge(3600)
+            .setMinAccountSequenceLedgerGap(10)
+            .setExtraSigners([extraSigner]))
+        const res = parseTxOperationsMeta({network, tx: tx.toXDR()})
+        expect(res.preconditions).toStrictEqual({
+            timeBounds: {min: '1700000000', max: '1700003600'},
+            ledgerBounds: {min: 100, max: null},
+            minSequence: '90',
+            minSequenceAge: '3600',
+            minSequenceLedgerGap: 10,
+            extraSigners: [extraSigner]
+        })
+        expect(res.memo).toBeUndefined()
+    })
+
+    test('Unbounded time bounds', () => {
+        const tx = buildTx(builder => builder.setTimeout(0))
+        expect(parseTxPreconditions(tx)).toStrictEqual({timeBounds: {min: '0', max: null}})
+    })
+
+    test.each([
+        ['text', Memo.text('Привіт'), 'Привіт'],
+        ['id', Memo.id('18446744073709551615'), '18446744073709551615'],
+        ['hash', Memo.hash('ab'.repeat(32)), 'ab'.repeat(32)],
+        ['return', Memo.return('cd'.repeat(32)), 'cd'.repeat(32)]
+    ])('Decode %s memo', (type, memo, value) => {
+        const tx = buildTx(builder => builder.setTimeout(0).addMemo(memo))
+        const parsed = parseTxMemo(tx)
+        expect(parsed).toStrictEqual({type, value, raw: memo.toXDRObject().toXDR('base64')})
+        expect(xdr.Memo.fromXDR(parsed.raw, 'base64').switch().name).toEqual('memo' + type[0].toUpperCase() + type.substring(1))
+    })
+
+    test('Fee bump transaction', () => {
+        const inner = buildTx(builder => builder.setTimeout(0).addMemo(Memo.id('1')))
+        inner.sign(source)
+        const feeBump = TransactionBuilder.buildFeeBumpTransaction(destination, '200', inner, network)
+        const res = parseTxOperationsMeta({network, tx: feeBump.toXDR()})
+        expect(res.preconditions).toStrictEqual({timeBounds: {min: '0', max: null}})
+        expect(res.memo.value).toEqual('1')
+    })
+
+    test('Preconditions of executed transactions', () => {
+        const [, params] = require('./op-effects-data.json').find(([description]) => description === 'failed setOptions')
+        const res = parseTxOperationsMeta({...params, network})
+        expect(res.preconditions).toStrictEqual({timeBounds: {min: '0', max: '1709943604'}})
+        expect(res.memo.type).toEqual('text')
+        expect(Buffer.from(res.memo.value)).toStrictEqual(xdr.Memo.fromXDR(res.memo.raw, 'base64').text())
+    })
+})